@@ -1,186 +1,174 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  STATE_VERSION,
+  appendSnapshot,
+  applyEntryChanges,
+  clearFoodCache,
+  deleteCachedFood,
+  diffEntries,
+  listCachedFoods,
+  listSnapshots,
+  loadLegacyFallback,
+  loadState,
+  migratePayload,
+  saveSettings,
+} from "./storage.js";
+import {
+  dateOnDay,
+  dayKeyToDate,
+  dayStamp,
+  entryDayKey,
+  shiftDayKey,
+  shiftMonthKey,
+  startOfMonthKey,
+  startOfWeekKey,
+  toLocalInputValue,
+  todayKey,
+} from "./dates.js";
+import {
+  UNITS,
+  describeLoggedAmount,
+  parseServingLabel,
+  servingFields,
+  servingFromForm,
+  servingOf,
+  servingsFor,
+  unitsFor,
+} from "./units.js";
+import {
+  createBarcodeDetector,
+  decodeImageFile,
+  hasNativeBarcodeDetector,
+} from "./barcode/index.js";
+import { normalizeBarcode } from "./barcode/gtin.js";
+import { readNutritionLabel } from "./labels/index.js";
+import { makeMacro, round1, roundMacro, safeNum, scaleMacro } from "./macros.js";
+import { matchFoods, parseQuickLog } from "./quickLog.js";
+import {
+  buildReport,
+  floorSummary,
+  foodLogByDay,
+  formatShare,
+  REPORT_PRESETS,
+  reportToCsv,
+} from "./report.js";
+import { IMPORT_MODES, normalizeBackup, planImport } from "./backupImport.js";
+import { parseCsv } from "./csv.js";
+import {
+  detectDateOrder,
+  ENTRY_CSV_FIELDS,
+  entriesFromCsv,
+  entriesToCsv,
+  findDuplicates,
+  guessMapping,
+  hasAmbiguousDates,
+  mappingProblems,
+} from "./entryCsv.js";
+import { HISTORY_IMPORTERS, importHistoryCsv, summarizeHistory } from "./importers/index.js";
+import { chartSeries, macroChartSvg, proteinChartSvg, ROLLING_DAYS, svgDataUrl, svgToPngBlob } from "./charts.js";
+import { computeFloorStats, formatHitRate } from "./stats.js";
+import {
+  DEFAULT_FLOOR_RULE,
+  floorForDay,
+  formatWeight,
+  snapshotDayFloors,
+  sortWeights,
+  toKg,
+  WEEKDAY_LABELS,
+  WEIGHT_AVG_DAYS,
+} from "./floor.js";
+import {
+  FOOD_PROVIDERS,
+  describeNutrientBasis,
+  fetchFoodDetails,
+  formatProviderErrors,
+  withNutrientBasis,
+} from "./providers/index.js";
+import { cachedLookupBarcode, cachedSearchFoods, refreshCachedFood } from "./providers/cached.js";
 
 /**
- * Protein Floor Tracker (Mary Edition) - v3 Data Safe Edition
+ * Protein Floor Tracker (Mary Edition) - v4 IndexedDB Edition
  * Storage hardening:
  * - Hydration guard: don't save until we load existing state
- * - Dual-write backup key
+ * - Entries stored as individual IndexedDB records (only changed ones are written)
  * - Rolling snapshots
  * - Refuse "sudden wipe" (entries -> []) unless user explicitly confirms
  */
 
-const LS_KEY = "protein_floor_tracker_v2";
-const LS_BACKUP_KEY = "protein_floor_tracker_v2__backup";
-const LS_SNAPSHOTS_KEY = "protein_floor_tracker_v2__snapshots";
-const SNAPSHOT_KEEP = 12;
+// Snapshot at most this often unless the number of entries changed.
+const SNAPSHOT_MIN_GAP_MS = 5 * 60 * 1000;
 
 // ---------- helpers ----------
 function isoNow() {
   return new Date().toISOString();
 }
-function todayISO() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-}
 
-function sameISODate(isoA, isoDate) {
-  return isoA.slice(0, 10) === isoDate;
-}
-function round1(x) {
-  return Math.round((x + Number.EPSILON) * 10) / 10;
-}
-function safeNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : 0;
-}
-function makeMacro({ calories = 0, protein = 0, carbs = 0, fat = 0 }) {
-  return {
-    calories: safeNum(calories),
-    protein: safeNum(protein),
-    carbs: safeNum(carbs),
-    fat: safeNum(fat),
-  };
-}
+// ---------- Recipes ----------
+// Ingredients are { name, source, servingSizeLabel, macrosPerServing, qty }.
+// Yield in servings gives per-serving macros; yield in grams gives per-100g.
+function computeRecipe(ingredients, yieldAmount, yieldUnit) {
+  const total = ingredients.reduce((acc, ing) => {
+    const m = scaleMacro(ing.macrosPerServing, safeNum(ing.qty));
+    return makeMacro({
+      calories: acc.calories + m.calories,
+      protein: acc.protein + m.protein,
+      carbs: acc.carbs + m.carbs,
+      fat: acc.fat + m.fat,
+    });
+  }, makeMacro({}));
 
-function loadJSON(key) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
+  const amount = safeNum(yieldAmount) > 0 ? safeNum(yieldAmount) : 1;
+  if (yieldUnit === "g") {
+    return {
+      totalMacros: roundMacro(total),
+      macrosPerServing: roundMacro(scaleMacro(total, 100 / amount)),
+      servingSizeLabel: "100g",
+      serving: { amount: 100, unit: "g" },
+    };
   }
+  return {
+    totalMacros: roundMacro(total),
+    macrosPerServing: roundMacro(scaleMacro(total, 1 / amount)),
+    servingSizeLabel: amount === 1 ? "whole recipe" : `1 serving (of ${amount})`,
+    serving: { amount: 1, unit: "serving" },
+  };
 }
-function saveJSON(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
-}
-
-function startOfWeek(date = new Date()) {
-  // Monday-based week
-  const d = new Date(date);
-  const day = (d.getDay() + 6) % 7; // 0=Mon
-  d.setHours(0, 0, 0, 0);
-  d.setDate(d.getDate() - day);
-  return d;
-}
-
-// ---------- Open Food Facts ----------
-async function offLookupByBarcode(barcode) {
-  const url = `https://world.openfoodfacts.org/api/v2/product/${encodeURIComponent(
-    barcode
-  )}.json`;
-  const r = await fetch(url);
-  if (!r.ok) throw new Error("Open Food Facts lookup failed");
-  const j = await r.json();
-  if (!j.product) return null;
-
-  const p = j.product;
-  const nutr = p.nutriments || {};
-
-  const calories_serv =
-    nutr["energy-kcal_serving"] ?? nutr["energy-kcal_value"] ?? 0;
-  const protein_serv = nutr["proteins_serving"] ?? nutr["proteins_value"] ?? 0;
-  const carbs_serv =
-    nutr["carbohydrates_serving"] ?? nutr["carbohydrates_value"] ?? 0;
-  const fat_serv = nutr["fat_serving"] ?? nutr["fat_value"] ?? 0;
-
-  const servingSize =
-    p.serving_size ||
-    (p.product_quantity ? `${p.product_quantity}g` : "1 serving");
 
+function newRecipeDraft() {
   return {
-    id: `off:${barcode}`,
-    source: "Open Food Facts",
-    name: p.product_name || p.generic_name || "Unknown item",
-    servingSizeLabel: servingSize,
-    macrosPerServing: makeMacro({
-      calories: calories_serv,
-      protein: protein_serv,
-      carbs: carbs_serv,
-      fat: fat_serv,
-    }),
+    id: null,
+    name: "",
+    ingredients: [],
+    yieldAmount: "4",
+    yieldUnit: "servings",
+    updateLogged: false,
+    updateLoggedFrom: todayKey(),
+    // custom-macro ingredient form
+    customName: "",
+    customServing: "1 serving",
+    customCalories: "",
+    customProtein: "",
+    customCarbs: "",
+    customFat: "",
+    customQty: "1",
+    quickAddIndex: "",
+    quickAddQty: "1",
   };
 }
 
-async function offSearch(query) {
-  const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(
-    query
-  )}&search_simple=1&action=process&json=1&page_size=12`;
-  const r = await fetch(url);
-  if (!r.ok) throw new Error("Open Food Facts search failed");
-  const j = await r.json();
-  const products = j.products || [];
-
-  return products.slice(0, 12).map((p) => {
-    const nutr = p.nutriments || {};
-    const calories_serv =
-      nutr["energy-kcal_serving"] ?? nutr["energy-kcal_value"] ?? 0;
-    const protein_serv =
-      nutr["proteins_serving"] ?? nutr["proteins_value"] ?? 0;
-    const carbs_serv =
-      nutr["carbohydrates_serving"] ?? nutr["carbohydrates_value"] ?? 0;
-    const fat_serv = nutr["fat_serving"] ?? nutr["fat_value"] ?? 0;
-
-    return {
-      id: `off:${p.code || p._id || Math.random().toString(36).slice(2)}`,
-      source: "Open Food Facts",
-      name: p.product_name || p.generic_name || "Unknown item",
-      servingSizeLabel: p.serving_size || "1 serving",
-      macrosPerServing: makeMacro({
-        calories: calories_serv,
-        protein: protein_serv,
-        carbs: carbs_serv,
-        fat: fat_serv,
-      }),
-      barcode: p.code,
-    };
-  });
-}
+// ---------- UI constants ----------
+const MEAL_TAGS = ["Breakfast", "Lunch", "Dinner", "Snack"];
 
-// ---------- USDA FDC (optional) ----------
-async function usdaSearch(query, apiKey) {
-  if (!apiKey) return [];
-  const url = `https://api.nal.usda.gov/fdc/v1/foods/search?api_key=${encodeURIComponent(
-    apiKey
-  )}`;
-  const r = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ query, pageSize: 10 }),
-  });
-  if (!r.ok) throw new Error("USDA search failed");
-  const j = await r.json();
-  const foods = j.foods || [];
-
-  return foods.slice(0, 10).map((f) => {
-    const nutrients = f.foodNutrients || [];
-    const find = (needle) => {
-      const n = nutrients.find((x) =>
-        (x.nutrientName || "").toLowerCase().includes(needle)
-      );
-      return n ? n.value : 0;
-    };
+// Rows shown in the CSV import preview (all rows are imported)
+const CSV_PREVIEW_ROWS = 20;
 
-    const calories = find("energy") || find("calories");
-    const protein = find("protein");
-    const carbs = find("carbohydrate");
-    const fat = find("total lipid") || find("fat");
+// Item names listed per added/changed/removed line in the backup import preview
+const BACKUP_PREVIEW_NAMES = 8;
 
-    return {
-      id: `usda:${f.fdcId}`,
-      source: "USDA FDC",
-      name: f.description || "USDA item",
-      servingSizeLabel: "100g (USDA default)",
-      macrosPerServing: makeMacro({ calories, protein, carbs, fat }),
-    };
-  });
-}
+const LOCAL_PRODUCT_SOURCE = "My products";
 
-// ---------- UI constants ----------
-const MEAL_TAGS = ["Breakfast", "Lunch", "Dinner", "Snack"];
+// Distinct recent foods the quick log matches against
+const QUICK_LOG_RECENT = 200;
 
 const DEFAULT_QUICK_ADDS = [
   {
@@ -211,51 +199,90 @@ const DEFAULT_QUICK_ADDS = [
 ];
 
 // ---------- storage safety ----------
-function makeStatePayload({ proteinFloor, usdaApiKey, entries, roadTripMode, quickAdds }) {
+function makeStatePayload({
+  proteinFloor,
+  usdaApiKey,
+  entries,
+  roadTripMode,
+  quickAdds,
+  recipes,
+  foodProviders,
+  localProducts,
+  weights,
+  floorRule,
+  dayFloors,
+}) {
   return {
-    version: 3,
+    version: STATE_VERSION,
     savedAt: isoNow(),
     proteinFloor,
     usdaApiKey,
     entries,
     roadTripMode,
     quickAdds,
+    recipes,
+    foodProviders,
+    localProducts,
+    weights,
+    floorRule,
+    dayFloors,
   };
 }
 
-function appendSnapshot(payload) {
-  const snaps = loadJSON(LS_SNAPSHOTS_KEY) || [];
-  const next = [{ ts: Date.now(), payload }, ...snaps].slice(0, SNAPSHOT_KEEP);
-  saveJSON(LS_SNAPSHOTS_KEY, next);
-}
-
 // ---------- App ----------
 export default function App() {
   // Settings
   const [proteinFloor, setProteinFloor] = useState(90);
   const [usdaApiKey, setUsdaApiKey] = useState("");
   const [roadTripMode, setRoadTripMode] = useState(false);
-
-  // Tabs: today | add | quickadds | settings | report
+  // { [providerId]: boolean }; providers not listed use their default
+  const [foodProviders, setFoodProviders] = useState({});
+  // Floor mode (fixed or g/kg) and the body weight log it reads, oldest first
+  const [floorRule, setFloorRule] = useState(DEFAULT_FLOOR_RULE);
+  const [weights, setWeights] = useState([]);
+  // Floors that applied on past days ({ [dayKey]: { floor, mode, note } })
+  const [dayFloors, setDayFloors] = useState({});
+  const [overrideDay, setOverrideDay] = useState(() => todayKey());
+  const [overrideGrams, setOverrideGrams] = useState("");
+  const [weightInput, setWeightInput] = useState("");
+  const [weightDay, setWeightDay] = useState(() => todayKey());
+
+  // Tabs: today | history | add | quickadds | settings | report
   const [tab, setTab] = useState("today");
 
   // Logging
   const [entries, setEntries] = useState([]);
   const [quickAdds, setQuickAdds] = useState(DEFAULT_QUICK_ADDS);
+  const [recipes, setRecipes] = useState([]);
+  // Products we made for barcodes no provider knows; checked before any lookup
+  const [localProducts, setLocalProducts] = useState([]);
+
+  // History (calendar month + selected day); logDay backdates Add Food
+  const [historyMonth, setHistoryMonth] = useState(() => startOfMonthKey(todayKey()));
+  const [historyDay, setHistoryDay] = useState(null);
+  const [logDay, setLogDay] = useState(null);
 
   // Custom foods
   const [customOpen, setCustomOpen] = useState(false);
   const [customSaveToQuickAdds, setCustomSaveToQuickAdds] = useState(true);
   const [customName, setCustomName] = useState("");
   const [customServing, setCustomServing] = useState("1 serving");
+  const [customServingAmount, setCustomServingAmount] = useState("");
+  const [customServingUnit, setCustomServingUnit] = useState("g");
+  const [customDensity, setCustomDensity] = useState("");
   const [customCalories, setCustomCalories] = useState("");
   const [customProtein, setCustomProtein] = useState("");
   const [customCarbs, setCustomCarbs] = useState("");
   const [customFat, setCustomFat] = useState("");
+  // Set when the custom food is being registered for an unknown barcode
+  const [customBarcode, setCustomBarcode] = useState("");
 
   // Manage quick adds
   const [qaName, setQaName] = useState("");
   const [qaServing, setQaServing] = useState("1 serving");
+  const [qaServingAmount, setQaServingAmount] = useState("");
+  const [qaServingUnit, setQaServingUnit] = useState("g");
+  const [qaDensity, setQaDensity] = useState("");
   const [qaCalories, setQaCalories] = useState("");
   const [qaProtein, setQaProtein] = useState("");
   const [qaCarbs, setQaCarbs] = useState("");
@@ -268,16 +295,47 @@ export default function App() {
   const [results, setResults] = useState([]);
   const [selected, setSelected] = useState(null);
 
-  // Add form
+  // Add form (qty is in qtyUnit: whole servings, or an amount in g/oz/ml/...)
   const [qty, setQty] = useState(1);
+  const [qtyUnit, setQtyUnit] = useState("serving");
   const [mealTag, setMealTag] = useState("Snack");
 
+  // Quick Add by amount (Today and History); buttons still log one serving
+  const [quickAddAmount, setQuickAddAmount] = useState({ index: "", qty: 1, unit: "serving" });
+
+  // Natural-language quick log (Today tab); draft is the confirm list
+  const [quickLogText, setQuickLogText] = useState("");
+  const [quickLogDraft, setQuickLogDraft] = useState(null);
+
+  // Recipe builder
+  const [recipeDraft, setRecipeDraft] = useState(newRecipeDraft);
+
+  // Entry editor dialog (null when closed)
+  const [entryDraft, setEntryDraft] = useState(null);
+
   // Status + report
   const [status, setStatus] = useState("");
   const [report, setReport] = useState(null);
+  const [reportStart, setReportStart] = useState(() => startOfWeekKey(todayKey()));
+  const [reportEnd, setReportEnd] = useState(() => todayKey());
+  const [reportLoggedOnly, setReportLoggedOnly] = useState(false);
+  const [printFoodLog, setPrintFoodLog] = useState(false);
+  // Entry CSV import in progress: { fileName, headers, rows, mapping }
+  const [csvImport, setCsvImport] = useState(null);
+  // Other-app history awaiting confirmation: { fileName, label, entries, duplicates, skipped, summary }
+  const [historyImport, setHistoryImport] = useState(null);
+  // JSON backup awaiting a mode + confirmation: { fileName, data, mode }
+  const [backupImport, setBackupImport] = useState(null);
 
   // Snapshots UI
-  const [snapshots, setSnapshots] = useState(() => loadJSON(LS_SNAPSHOTS_KEY) || []);
+  const [snapshots, setSnapshots] = useState([]);
+
+  // Last barcode no provider knew (offers a local product)
+  const [unknownBarcode, setUnknownBarcode] = useState(null);
+
+  // Offline food cache browser (null until loaded)
+  const [cachedFoods, setCachedFoods] = useState(null);
+  const [cacheFilter, setCacheFilter] = useState("");
 
   // Camera scanning
   const [scannerOpen, setScannerOpen] = useState(false);
@@ -289,52 +347,105 @@ export default function App() {
   // Safety refs
   const hydratedRef = useRef(false);
   const allowNextEmptySaveRef = useRef(false);
-  const lastSavedEntriesLenRef = useRef(0);
-  const snapshotTickRef = useRef(0);
+  const savedEntriesRef = useRef([]);
+  const lastSnapshotAtRef = useRef(0);
 
-  // Load persisted state (primary, then backup)
+  // Load persisted state (IndexedDB; first launch moves old localStorage data over)
   useEffect(() => {
-    const primary = loadJSON(LS_KEY);
-    const backup = loadJSON(LS_BACKUP_KEY);
+    let cancelled = false;
 
-    const s = primary || backup;
-    if (s) {
+    function hydrate(s) {
+      const list = Array.isArray(s?.entries) ? s.entries : [];
+      savedEntriesRef.current = list;
+      if (!s) return;
       setProteinFloor(s.proteinFloor ?? 90);
       setUsdaApiKey(s.usdaApiKey ?? "");
-      setEntries(Array.isArray(s.entries) ? s.entries : []);
+      setEntries(list);
       setRoadTripMode(Boolean(s.roadTripMode));
       setQuickAdds(Array.isArray(s.quickAdds) ? s.quickAdds : DEFAULT_QUICK_ADDS);
-
-      lastSavedEntriesLenRef.current = Array.isArray(s.entries) ? s.entries.length : 0;
-
-      if (!primary && backup) {
-        setStatus("Loaded from backup storage (primary missing).");
-      }
-    } else {
-      setStatus("No saved data found yet (fresh start).");
+      setRecipes(Array.isArray(s.recipes) ? s.recipes : []);
+      setFoodProviders(s.foodProviders ?? {});
+      setLocalProducts(Array.isArray(s.localProducts) ? s.localProducts : []);
+      setWeights(sortWeights(Array.isArray(s.weights) ? s.weights : []));
+      setFloorRule({ ...DEFAULT_FLOOR_RULE, ...s.floorRule });
+      setDayFloors(s.dayFloors ?? {});
     }
 
-    hydratedRef.current = true;
-    setSnapshots(loadJSON(LS_SNAPSHOTS_KEY) || []);
+    loadState()
+      .then(async ({ payload, notice }) => {
+        if (cancelled) return;
+        hydrate(payload);
+        hydratedRef.current = true;
+        setStatus(notice || (payload ? "" : "No saved data found yet (fresh start)."));
+
+        const snaps = await listSnapshots();
+        if (cancelled) return;
+        lastSnapshotAtRef.current = snaps[0]?.ts ?? 0;
+        setSnapshots(snaps);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        // Show what the old storage has, but don't save over anything.
+        const legacy = loadLegacyFallback();
+        hydrate(legacy.payload);
+        setStatus(
+          `Storage error: ${e.message} Showing data from old browser storage; changes will NOT be saved.`
+        );
+      });
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Persist state (with safety seatbelts)
+  const today = todayKey();
+
+  // Today's floor, and that of any past day first seen with entries, is kept in
+  // dayFloors; once the day is over a rule change leaves it as it was. Re-runs
+  // when dayFloors is replaced wholesale (load, import, restore, wipe).
+  useEffect(() => {
+    const days = new Set(entries.map(entryDayKey));
+    setDayFloors((prev) => snapshotDayFloors(prev, { today, days, proteinFloor, floorRule, weights }));
+  }, [dayFloors, entries, today, proteinFloor, floorRule, weights]);
+
+  // Persist settings (small record, fine to write on every change)
   useEffect(() => {
     if (!hydratedRef.current) return;
 
-    const payload = makeStatePayload({
+    saveSettings({
       proteinFloor,
       usdaApiKey,
-      entries,
       roadTripMode,
       quickAdds,
-    });
+      recipes,
+      foodProviders,
+      localProducts,
+      weights,
+      floorRule,
+      dayFloors,
+    }).catch(() => setStatus("Save error: browser storage may be full or blocked."));
+  }, [
+    proteinFloor,
+    usdaApiKey,
+    roadTripMode,
+    quickAdds,
+    recipes,
+    foodProviders,
+    localProducts,
+    weights,
+    floorRule,
+    dayFloors,
+  ]);
+
+  // Persist entries (only changed records, with safety seatbelts)
+  useEffect(() => {
+    if (!hydratedRef.current) return;
 
-    const prevLen = lastSavedEntriesLenRef.current;
-    const nextLen = Array.isArray(entries) ? entries.length : 0;
+    const prev = savedEntriesRef.current;
+    if (prev === entries) return;
 
     // Anti-wipe: refuse to overwrite non-empty history with empty unless explicitly allowed
-    if (prevLen > 0 && nextLen === 0 && !allowNextEmptySaveRef.current) {
+    if (prev.length > 0 && entries.length === 0 && !allowNextEmptySaveRef.current) {
       setStatus(
         "Safety stop: refused to overwrite your saved log with an empty log. If you intended to wipe, use the 'Wipe all data' button in Settings."
       );
@@ -342,30 +453,54 @@ export default function App() {
     }
 
     allowNextEmptySaveRef.current = false;
+    savedEntriesRef.current = entries;
 
-    try {
-      saveJSON(LS_KEY, payload);
-      saveJSON(LS_BACKUP_KEY, payload);
-
-      // Snapshot occasionally: on any entries change, but cap frequency
-      // This avoids writing snapshots on every tiny keystroke elsewhere.
-      const tick = snapshotTickRef.current + 1;
-      snapshotTickRef.current = tick;
-      if (tick % 2 === 0 || nextLen !== prevLen) {
-        appendSnapshot(payload);
-        setSnapshots(loadJSON(LS_SNAPSHOTS_KEY) || []);
-      }
-
-      lastSavedEntriesLenRef.current = nextLen;
-    } catch {
-      setStatus("Save error: local storage may be full or blocked.");
-    }
-  }, [proteinFloor, usdaApiKey, entries, roadTripMode, quickAdds]);
+    const payload = makeStatePayload({
+      proteinFloor,
+      usdaApiKey,
+      entries,
+      roadTripMode,
+      quickAdds,
+      recipes,
+      foodProviders,
+      localProducts,
+      weights,
+      floorRule,
+      dayFloors,
+    });
 
-  const today = todayISO();
+    applyEntryChanges(diffEntries(prev, entries))
+      .then(async () => {
+        // Snapshot when the entry count changes, otherwise at most every few minutes.
+        const now = Date.now();
+        if (entries.length === prev.length && now - lastSnapshotAtRef.current < SNAPSHOT_MIN_GAP_MS) {
+          return;
+        }
+        lastSnapshotAtRef.current = now;
+        await appendSnapshot(payload);
+        setSnapshots(await listSnapshots());
+      })
+      .catch(() => {
+        // Re-diff against the last good state on the next change.
+        if (savedEntriesRef.current === entries) savedEntriesRef.current = prev;
+        setStatus("Save error: browser storage may be full or blocked.");
+      });
+  }, [
+    proteinFloor,
+    usdaApiKey,
+    entries,
+    roadTripMode,
+    quickAdds,
+    recipes,
+    foodProviders,
+    localProducts,
+    weights,
+    floorRule,
+    dayFloors,
+  ]);
 
   const todaysEntries = useMemo(
-    () => entries.filter((e) => sameISODate(e.createdAt, today)),
+    () => entries.filter((e) => entryDayKey(e) === today),
     [entries, today]
   );
 
@@ -378,15 +513,141 @@ export default function App() {
     );
   }, [todaysEntries]);
 
+  const proteinByDay = useMemo(() => {
+    const byDay = {};
+    entries.forEach((e) => {
+      const d = entryDayKey(e);
+      byDay[d] = (byDay[d] || 0) + safeNum(e.macros?.protein) * safeNum(e.qty);
+    });
+    return byDay;
+  }, [entries]);
+
+  const historyEntries = useMemo(
+    () => (historyDay ? entries.filter((e) => entryDayKey(e) === historyDay) : []),
+    [entries, historyDay]
+  );
+
+  // Monday-based weeks covering the whole month
+  const calendarDays = useMemo(() => {
+    const first = startOfWeekKey(historyMonth);
+    const nextMonth = shiftMonthKey(historyMonth, 1);
+    const days = [];
+    for (let d = first; d < nextMonth || days.length % 7 !== 0; d = shiftDayKey(d, 1)) {
+      days.push(d);
+    }
+    return days;
+  }, [historyMonth]);
+
+  const floorOn = useCallback(
+    (dayKey) => floorForDay(dayKey, { proteinFloor, floorRule, weights, dayFloors }),
+    [proteinFloor, floorRule, weights, dayFloors]
+  );
+
+  const todayFloor = useMemo(() => floorOn(today), [floorOn, today]);
+
+  const floorStats = useMemo(
+    () => computeFloorStats(proteinByDay, floorOn, today),
+    [proteinByDay, floorOn, today]
+  );
+
+  // Rows -> entries under the current mapping, with duplicates against the log
+  const csvPreview = useMemo(() => {
+    if (!csvImport) return null;
+    const problems = mappingProblems(csvImport.mapping);
+    if (problems.length > 0) return { problems, rows: [], dupes: new Set(), errorCount: 0 };
+    // Slash dates: the user's pick wins, else whatever the values give away, else month first.
+    const { day, timestamp } = csvImport.mapping;
+    const dateValues = csvImport.rows.map((r) => r[day ?? timestamp]);
+    const detected = detectDateOrder(dateValues);
+    const ambiguousDates = hasAmbiguousDates(dateValues);
+    const dateOrder = csvImport.dateOrder ?? detected ?? "mdy";
+    const rows = entriesFromCsv(csvImport.rows, csvImport.mapping, { mealTags: MEAL_TAGS, dateOrder });
+    const dupes = findDuplicates(rows.filter((r) => r.entry).map((r) => r.entry), entries);
+    return {
+      problems,
+      rows,
+      dupes,
+      errorCount: rows.filter((r) => r.error).length,
+      dateOrder,
+      slashDates: ambiguousDates || detected !== null,
+      ambiguousDates,
+    };
+  }, [csvImport, entries]);
+
+  // Drawn from entries for the report's range; nothing to draw in Road Trip Mode.
+  const reportCharts = useMemo(() => {
+    if (!report || roadTripMode) return null;
+    const days = chartSeries(entries, report, floorOn);
+    return { protein: proteinChartSvg(days), macros: macroChartSvg(days) };
+  }, [report, roadTripMode, entries, floorOn]);
+
+  // Only the print layout reads this; skip the grouping unless it's wanted.
+  const printFoodLogDays = useMemo(
+    () => (report && printFoodLog ? foodLogByDay(entries, report) : []),
+    [entries, report, printFoodLog]
+  );
+
   const floorProgress = useMemo(() => {
-    if (proteinFloor <= 0) return 0;
-    return Math.min(1, proteinToday / proteinFloor);
-  }, [proteinToday, proteinFloor]);
+    if (todayFloor.floor <= 0) return 0;
+    return Math.min(1, proteinToday / todayFloor.floor);
+  }, [proteinToday, todayFloor]);
+
+  // ---------- Body weight log ----------
+  function addWeight() {
+    const kg = toKg(weightInput, floorRule.weightUnit);
+    if (!(kg > 0)) {
+      setStatus("Enter a body weight greater than 0.");
+      return;
+    }
+    const w = { id: `w:${Math.random().toString(36).slice(2)}`, dayKey: weightDay, kg, createdAt: isoNow() };
+    setWeights((prev) => sortWeights([...prev, w]));
+    setWeightInput("");
+    setStatus(`Logged ${formatWeight(kg, floorRule.weightUnit)} for ${weightDay}.`);
+  }
+
+  function deleteWeight(id) {
+    setWeights((prev) => prev.filter((w) => w.id !== id));
+  }
+
+  function updateFloorRule(patch) {
+    setFloorRule((prev) => ({ ...prev, ...patch }));
+  }
+
+  // Weekday schedule for the active mode: grams (fixed) or g/kg (perKg); "" clears a day.
+  function setWeekdayFloor(idx, value) {
+    const key = floorRule.mode === "perKg" ? "weekdayGPerKg" : "weekdayGrams";
+    setFloorRule((prev) => {
+      const list = [...(prev[key] ?? DEFAULT_FLOOR_RULE[key])];
+      list[idx] = value === "" ? null : Number(value);
+      return { ...prev, [key]: list };
+    });
+  }
+
+  function addFloorOverride() {
+    const grams = Number(overrideGrams);
+    if (!overrideDay || !(grams >= 0) || overrideGrams === "") {
+      setStatus("Pick a date and a floor in grams for the override.");
+      return;
+    }
+    setFloorRule((prev) => ({ ...prev, overrides: { ...prev.overrides, [overrideDay]: grams } }));
+    setOverrideGrams("");
+    setStatus(`Floor for ${overrideDay} set to ${grams}g.`);
+  }
+
+  function removeFloorOverride(dayKey) {
+    setFloorRule((prev) => {
+      const { [dayKey]: _removed, ...rest } = prev.overrides;
+      return { ...prev, overrides: rest };
+    });
+  }
 
   // ---------- Quick Adds management ----------
   function resetQuickAddForm() {
     setQaName("");
     setQaServing("1 serving");
+    setQaServingAmount("");
+    setQaServingUnit("g");
+    setQaDensity("");
     setQaCalories("");
     setQaProtein("");
     setQaCarbs("");
@@ -400,6 +661,10 @@ export default function App() {
 
     setQaName(item.name ?? "");
     setQaServing(item.servingSizeLabel ?? "1 serving");
+    const s = servingOf(item);
+    setQaServingAmount(s.unit === "serving" ? "" : s.amount);
+    setQaServingUnit(s.unit === "serving" ? "g" : s.unit);
+    setQaDensity(item.densityGPerMl ?? "");
     setQaCalories(item.macrosPerServing?.calories ?? "");
     setQaProtein(item.macrosPerServing?.protein ?? "");
     setQaCarbs(item.macrosPerServing?.carbs ?? "");
@@ -418,6 +683,12 @@ export default function App() {
     const newItem = {
       name,
       servingSizeLabel: qaServing.trim() || "1 serving",
+      ...servingFromForm({
+        amount: qaServingAmount,
+        unit: qaServingUnit,
+        density: qaDensity,
+        label: qaServing,
+      }),
       macrosPerServing: makeMacro({
         calories: qaCalories,
         protein: qaProtein,
@@ -452,16 +723,20 @@ export default function App() {
   }
 
   // ---------- Entries ----------
-  function addEntry({ name, source, servingSizeLabel, macrosPerServing, qty, mealTag }) {
+  // dayKey (optional) backdates the entry to that day at the current time of day.
+  // extra (optional) carries source-specific fields, e.g. a recipe's ingredients.
+  function addEntry({ name, source, servingSizeLabel, macrosPerServing, qty, mealTag, dayKey, extra }) {
+    const when = dayKey && dayKey !== todayKey() ? dateOnDay(dayKey) : new Date();
     const entry = {
       id: `${source}:${Math.random().toString(36).slice(2)}`,
-      createdAt: isoNow(),
+      ...dayStamp(when),
       name,
       source,
       servingSizeLabel,
       qty: safeNum(qty) || 1,
       macros: macrosPerServing,
       mealTag,
+      ...extra,
     };
     setEntries((prev) => [entry, ...prev]);
     setStatus("Added.");
@@ -477,17 +752,111 @@ export default function App() {
     );
   }
 
-  // ---------- Custom Foods ----------
-  function addCustomFood() {
-    const name = customName.trim();
+  function findQuickAddIndex(...names) {
+    const wanted = names.map((n) => (n || "").trim().toLowerCase()).filter(Boolean);
+    return quickAdds.findIndex((q) => wanted.includes((q.name || "").toLowerCase()));
+  }
+
+  function startEditEntry(entry) {
+    setEntryDraft({
+      id: entry.id,
+      originalName: entry.name,
+      name: entry.name ?? "",
+      mealTag: entry.mealTag ?? "Snack",
+      servingSizeLabel: entry.servingSizeLabel ?? "",
+      qty: entry.qty ?? 1,
+      calories: entry.macros?.calories ?? "",
+      protein: entry.macros?.protein ?? "",
+      carbs: entry.macros?.carbs ?? "",
+      fat: entry.macros?.fat ?? "",
+      when: toLocalInputValue(entry.createdAt),
+      originalWhen: toLocalInputValue(entry.createdAt),
+      saveToQuickAdd: false,
+    });
+  }
+
+  function saveEntryEdit() {
+    const d = entryDraft;
+    if (!d) return;
+
+    const name = d.name.trim();
     if (!name) {
-      setStatus("Custom food needs a name.");
+      setStatus("Entry needs a name.");
+      return;
+    }
+    const qtyNum = safeNum(d.qty);
+    if (qtyNum <= 0) {
+      setStatus("Qty must be more than 0.");
       return;
     }
+    const macros = makeMacro(d);
+    if (Object.values(macros).some((v) => v < 0)) {
+      setStatus("Macros can't be negative.");
+      return;
+    }
+    // Only re-stamp the day when the time was actually changed, so entries
+    // logged in another time zone keep their original day.
+    let stamp = {};
+    if (d.when !== d.originalWhen) {
+      const when = new Date(d.when);
+      if (Number.isNaN(when.getTime())) {
+        setStatus("That date/time isn't valid.");
+        return;
+      }
+      stamp = dayStamp(when);
+    }
 
-    const item = {
-      name,
+    const servingSizeLabel = d.servingSizeLabel.trim() || "1 serving";
+    setEntries((prev) =>
+      prev.map((e) =>
+        e.id === d.id
+          ? {
+              ...e,
+              ...stamp,
+              // A new label means a new serving basis.
+              ...(e.servingSizeLabel !== servingSizeLabel ? servingFields({ servingSizeLabel }) : {}),
+              name,
+              mealTag: d.mealTag,
+              servingSizeLabel,
+              qty: qtyNum,
+              macros,
+            }
+          : e
+      )
+    );
+
+    const qaIndex = d.saveToQuickAdd ? findQuickAddIndex(d.originalName, name) : -1;
+    if (qaIndex >= 0) {
+      setQuickAdds((prev) =>
+        prev.map((q, idx) =>
+          idx === qaIndex
+            ? {
+                ...q,
+                ...(q.servingSizeLabel !== servingSizeLabel ? servingFields({ servingSizeLabel }) : {}),
+                servingSizeLabel,
+                macrosPerServing: macros,
+              }
+            : q
+        )
+      );
+      setStatus("Entry updated (and Quick Add corrected).");
+    } else {
+      setStatus("Entry updated.");
+    }
+    setEntryDraft(null);
+  }
+
+  // ---------- Custom Foods ----------
+  function customFoodItem() {
+    return {
+      name: customName.trim(),
       servingSizeLabel: customServing.trim() || "1 serving",
+      ...servingFromForm({
+        amount: customServingAmount,
+        unit: customServingUnit,
+        density: customDensity,
+        label: customServing,
+      }),
       macrosPerServing: makeMacro({
         calories: customCalories,
         protein: customProtein,
@@ -495,16 +864,76 @@ export default function App() {
         fat: customFat,
       }),
     };
+  }
+
+  // OCR a Nutrition Facts photo into the custom food fields, for review before adding.
+  async function scanNutritionLabel(file) {
+    if (!file) return;
+    setStatus("Reading label… (the first scan loads the OCR engine, which takes a moment)");
+    try {
+      const label = await readNutritionLabel(file, (progress, step) => {
+        setStatus(`Reading label: ${step} ${Math.round((progress || 0) * 100)}%`);
+      });
+      if (label.found.length === 0) {
+        setStatus("Couldn’t read any nutrition values. Try a straight-on, well-lit photo of the panel.");
+        return;
+      }
+
+      if (label.servingSize) {
+        const parsed = parseServingLabel(label.servingSize);
+        setCustomServing(label.servingSize);
+        setCustomServingAmount(parsed.unit === "serving" ? "" : String(parsed.amount));
+        setCustomServingUnit(parsed.unit === "serving" ? "g" : parsed.unit);
+        setCustomDensity("");
+      }
+      if (label.calories !== null) setCustomCalories(String(label.calories));
+      if (label.protein !== null) setCustomProtein(String(label.protein));
+      if (label.carbs !== null) setCustomCarbs(String(label.carbs));
+      if (label.fat !== null) setCustomFat(String(label.fat));
+
+      const missing = 5 - label.found.length;
+      setStatus(
+        `Filled ${label.found.length} of 5 fields from the label${
+          missing ? ` (${missing} not found)` : ""
+        }. Check them${customName.trim() ? "" : " and add a name"} before adding.`
+      );
+    } catch (e) {
+      setStatus(`Label scan failed: ${e.message}`);
+    }
+  }
+
+  function addCustomFood() {
+    const name = customName.trim();
+    if (!name) {
+      setStatus("Custom food needs a name.");
+      return;
+    }
+
+    const item = customFoodItem();
+    const logged = resolveLoggedAmount(item, qty, qtyUnit);
+    if (!logged) return;
 
     addEntry({
       name: item.name,
       source: "Custom",
       servingSizeLabel: item.servingSizeLabel,
       macrosPerServing: item.macrosPerServing,
-      qty,
+      qty: logged.qty,
       mealTag,
+      dayKey: logDay,
+      extra: logged.extra,
     });
 
+    if (customBarcode) {
+      const product = {
+        ...item,
+        id: `local:${customBarcode}`,
+        barcode: customBarcode,
+        createdAt: isoNow(),
+      };
+      setLocalProducts((prev) => [product, ...prev.filter((p) => p.barcode !== customBarcode)]);
+    }
+
     if (customSaveToQuickAdds) {
       setQuickAdds((prev) => {
         const exists = prev.some(
@@ -516,13 +945,189 @@ export default function App() {
 
     setCustomName("");
     setCustomServing("1 serving");
+    setCustomServingAmount("");
+    setCustomServingUnit("g");
+    setCustomDensity("");
     setCustomCalories("");
     setCustomProtein("");
     setCustomCarbs("");
     setCustomFat("");
     setCustomSaveToQuickAdds(true);
+    setCustomBarcode("");
     setCustomOpen(false);
-    setTab("today");
+    finishLogging();
+  }
+
+  // ---------- Recipes ----------
+  const recipePreview = useMemo(
+    () => computeRecipe(recipeDraft.ingredients, recipeDraft.yieldAmount, recipeDraft.yieldUnit),
+    [recipeDraft.ingredients, recipeDraft.yieldAmount, recipeDraft.yieldUnit]
+  );
+
+  function setRecipeField(field, value) {
+    setRecipeDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function addIngredient(item, ingQty) {
+    const ing = {
+      name: item.name,
+      source: item.source ?? "Custom",
+      servingSizeLabel: item.servingSizeLabel,
+      ...servingFields(item),
+      loggedUnit: item.loggedUnit ?? "serving",
+      macrosPerServing: item.macrosPerServing,
+      qty: safeNum(ingQty) || 1,
+    };
+    setRecipeDraft((prev) => ({ ...prev, ingredients: [...prev.ingredients, ing] }));
+    setStatus(`Added ${item.name} to the recipe.`);
+  }
+
+  function addSelectedToRecipe() {
+    if (!selected) return;
+    if (!confirmNutrientBasis(selected)) return;
+    const logged = resolveLoggedAmount(selected, qty, qtyUnit);
+    if (!logged) return;
+    addIngredient({ ...selected, ...logged.extra }, logged.qty);
+    setSelected(null);
+    setQty(1);
+    setQtyUnit("serving");
+    setTab("recipes");
+  }
+
+  function addQuickAddToRecipe() {
+    const q = quickAdds[Number(recipeDraft.quickAddIndex)];
+    if (recipeDraft.quickAddIndex === "" || !q) return;
+    addIngredient({ ...q, source: "Quick Add" }, recipeDraft.quickAddQty);
+  }
+
+  function addCustomIngredient() {
+    const d = recipeDraft;
+    const name = d.customName.trim();
+    if (!name) {
+      setStatus("Ingredient needs a name.");
+      return;
+    }
+    addIngredient(
+      {
+        name,
+        source: "Custom",
+        servingSizeLabel: d.customServing.trim() || "1 serving",
+        macrosPerServing: makeMacro({
+          calories: d.customCalories,
+          protein: d.customProtein,
+          carbs: d.customCarbs,
+          fat: d.customFat,
+        }),
+      },
+      d.customQty
+    );
+    setRecipeDraft((prev) => ({
+      ...prev,
+      customName: "",
+      customServing: "1 serving",
+      customCalories: "",
+      customProtein: "",
+      customCarbs: "",
+      customFat: "",
+      customQty: "1",
+    }));
+  }
+
+  function updateIngredientQty(index, newQty) {
+    setRecipeDraft((prev) => ({
+      ...prev,
+      ingredients: prev.ingredients.map((ing, idx) =>
+        idx === index ? { ...ing, qty: newQty } : ing
+      ),
+    }));
+  }
+
+  function removeIngredient(index) {
+    setRecipeDraft((prev) => ({
+      ...prev,
+      ingredients: prev.ingredients.filter((_, idx) => idx !== index),
+    }));
+  }
+
+  function saveRecipe() {
+    const d = recipeDraft;
+    const name = d.name.trim();
+    if (!name) {
+      setStatus("Recipe needs a name.");
+      return;
+    }
+    if (d.ingredients.length === 0) {
+      setStatus("Add at least one ingredient.");
+      return;
+    }
+
+    const ingredients = d.ingredients.map((ing) => ({ ...ing, qty: safeNum(ing.qty) }));
+    const computed = computeRecipe(ingredients, d.yieldAmount, d.yieldUnit);
+    const recipe = {
+      id: d.id ?? `recipe:${Math.random().toString(36).slice(2)}`,
+      name,
+      ingredients,
+      yieldAmount: safeNum(d.yieldAmount) || 1,
+      yieldUnit: d.yieldUnit,
+      ...computed,
+      updatedAt: isoNow(),
+    };
+
+    setRecipes((prev) =>
+      d.id ? prev.map((r) => (r.id === d.id ? recipe : r)) : [recipe, ...prev]
+    );
+
+    // Optionally carry the new macros over to entries already logged from this recipe.
+    if (d.id && d.updateLogged) {
+      const from = d.updateLoggedFrom || todayKey();
+      setEntries((prev) =>
+        prev.map((e) =>
+          e.recipeId === d.id && entryDayKey(e) >= from
+            ? {
+                ...e,
+                name,
+                servingSizeLabel: recipe.servingSizeLabel,
+                macros: recipe.macrosPerServing,
+                ingredients,
+              }
+            : e
+        )
+      );
+    }
+
+    setStatus(d.id ? "Recipe updated." : "Recipe saved.");
+    setRecipeDraft(newRecipeDraft());
+  }
+
+  function startEditRecipe(recipe) {
+    setRecipeDraft({
+      ...newRecipeDraft(),
+      id: recipe.id,
+      name: recipe.name,
+      ingredients: recipe.ingredients,
+      yieldAmount: String(recipe.yieldAmount ?? 1),
+      yieldUnit: recipe.yieldUnit ?? "servings",
+    });
+    setTab("recipes");
+  }
+
+  function deleteRecipe(id) {
+    setRecipes((prev) => prev.filter((r) => r.id !== id));
+    if (recipeDraft.id === id) setRecipeDraft(newRecipeDraft());
+    setStatus("Recipe deleted.");
+  }
+
+  function logRecipe(recipe, logQty, tag, dayKey) {
+    addEntry({
+      name: recipe.name,
+      source: "Recipe",
+      servingSizeLabel: recipe.servingSizeLabel,
+      macrosPerServing: recipe.macrosPerServing,
+      qty: logQty,
+      mealTag: tag,
+      dayKey,
+      extra: { ...servingFields(recipe), recipeId: recipe.id, ingredients: recipe.ingredients },
+    });
   }
 
   // ---------- Backup export/import ----------
@@ -533,6 +1138,12 @@ export default function App() {
       entries,
       roadTripMode,
       quickAdds,
+      recipes,
+      foodProviders,
+      localProducts,
+      weights,
+      floorRule,
+      dayFloors,
     });
 
     const blob = new Blob([JSON.stringify(payload, null, 2)], {
@@ -542,7 +1153,7 @@ export default function App() {
 
     const a = document.createElement("a");
     a.href = url;
-    a.download = `protein_floor_backup_${todayISO()}.json`;
+    a.download = `protein_floor_backup_${todayKey()}.json`;
     a.click();
 
     URL.revokeObjectURL(url);
@@ -553,182 +1164,547 @@ export default function App() {
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
+      const raw = JSON.parse(text);
 
-      if (!data || !Array.isArray(data.entries)) {
+      if (!raw || !Array.isArray(raw.entries)) {
         throw new Error("That file doesn't look like a valid backup.");
       }
-
-      setProteinFloor(Number(data.proteinFloor ?? 90));
-      setUsdaApiKey(String(data.usdaApiKey ?? ""));
-      setRoadTripMode(Boolean(data.roadTripMode));
-      setQuickAdds(Array.isArray(data.quickAdds) ? data.quickAdds : DEFAULT_QUICK_ADDS);
-      setEntries(data.entries);
-
-      setStatus("Import complete.");
-      setTab("today");
+      const { data, dropped } = normalizeBackup(migratePayload(raw));
+      // Nothing changes until a mode is picked and the preview confirmed.
+      previewBackupImport({ fileName: file.name, data, dropped }, "merge");
     } catch (e) {
       setStatus(`Import failed: ${e.message}`);
     }
   }
 
-  // ---------- Food lookup/search ----------
-  async function handleBarcodeLookup(code) {
-    const bc = (code ?? barcode).trim();
-    if (!bc) return;
-    setStatus("Looking up barcode…");
-    setResults([]);
-    setSelected(null);
+  // The app's current data in backup form, for planning an import against.
+  function currentPayload() {
+    return makeStatePayload({
+      proteinFloor,
+      usdaApiKey,
+      entries,
+      roadTripMode,
+      quickAdds,
+      recipes,
+      foodProviders,
+      localProducts,
+      weights,
+      floorRule,
+      dayFloors,
+    });
+  }
 
+  // Plans are worked out here rather than during render, so a file that still
+  // trips planImport ends in a status message instead of a blank app.
+  function previewBackupImport(pending, mode) {
     try {
-      const item = await offLookupByBarcode(bc);
-      if (!item) {
-        setStatus("No barcode match found.");
-        return;
-      }
-      setResults([item]);
-      setStatus("Found 1 item.");
-      setTab("add");
+      setBackupImport({ ...pending, mode, plan: planImport(currentPayload(), pending.data, mode) });
+      setStatus("");
     } catch (e) {
-      setStatus(`Barcode lookup error: ${e.message}`);
+      setBackupImport(null);
+      setStatus(`Import failed: ${e.message}`);
     }
   }
 
-  async function handleSearch() {
-    const q = query.trim();
-    if (!q) return;
-    setStatus("Searching…");
-    setResults([]);
-    setSelected(null);
-
+  function confirmBackupImport() {
+    if (!backupImport) return;
+    const mode = IMPORT_MODES.find((m) => m.id === backupImport.mode);
     try {
-      const [off, usda] = await Promise.all([
-        offSearch(q),
-        usdaSearch(q, usdaApiKey.trim()),
-      ]);
-      const merged = [...off, ...usda];
-      setResults(merged);
-      setStatus(`Found ${merged.length} results.`);
+      // Re-planned against the data as it is now, in case anything was logged meanwhile.
+      const plan = planImport(currentPayload(), backupImport.data, backupImport.mode);
+      const counts = plan.sections
+        .filter((sec) => sec.added.length || sec.changed.length)
+        .map((sec) => `${sec.label}: +${sec.added.length}, ${sec.changed.length} changed`);
+      applyImportedData(
+        plan.data,
+        `Import complete (${mode.label.toLowerCase()})${counts.length ? ` — ${counts.join("; ")}` : ""}.`
+      );
     } catch (e) {
-      setStatus(`Search error: ${e.message}`);
+      setStatus(`Import failed: ${e.message}`);
     }
+    setBackupImport(null);
+  }
+
+  // Every import ends here: a full, current-version payload replaces app state.
+  function applyImportedData(data, message) {
+    setProteinFloor(Number(data.proteinFloor ?? 90));
+    setUsdaApiKey(String(data.usdaApiKey ?? ""));
+    setRoadTripMode(Boolean(data.roadTripMode));
+    setQuickAdds(Array.isArray(data.quickAdds) ? data.quickAdds : DEFAULT_QUICK_ADDS);
+    setRecipes(Array.isArray(data.recipes) ? data.recipes : []);
+    setFoodProviders(data.foodProviders ?? {});
+    setLocalProducts(Array.isArray(data.localProducts) ? data.localProducts : []);
+    setWeights(sortWeights(Array.isArray(data.weights) ? data.weights : []));
+    setFloorRule({ ...DEFAULT_FLOOR_RULE, ...data.floorRule });
+    setDayFloors(data.dayFloors ?? {});
+    setEntries(data.entries);
+
+    setStatus(message);
+    setTab("today");
+  }
+
+  // ---------- History import (other apps) ----------
+  async function startHistoryImport(file) {
+    if (!file) return;
+    try {
+      const { importer, entries: imported, skipped } = importHistoryCsv(await file.text(), {
+        mealTags: MEAL_TAGS,
+        defaultMeal: "Snack",
+      });
+      const dupes = findDuplicates(imported, entries);
+      const fresh = imported.filter((e) => !dupes.has(e.id));
+      setHistoryImport({
+        fileName: file.name,
+        label: importer.label,
+        entries: fresh,
+        duplicates: dupes.size,
+        skipped,
+        summary: summarizeHistory(fresh),
+      });
+      setStatus("");
+    } catch (e) {
+      setStatus(`History import failed: ${e.message}`);
+    }
+  }
+
+  // Imported history is added to the current log and committed like a backup import.
+  function confirmHistoryImport() {
+    if (!historyImport) return;
+    const data = makeStatePayload({
+      proteinFloor,
+      usdaApiKey,
+      entries: [...entries, ...historyImport.entries],
+      roadTripMode,
+      quickAdds,
+      recipes,
+      foodProviders,
+      localProducts,
+      weights,
+      floorRule,
+      dayFloors,
+    });
+    applyImportedData(data, `Imported ${historyImport.entries.length} entries from ${historyImport.label}.`);
+    setHistoryImport(null);
+  }
+
+  // ---------- Entry CSV export/import ----------
+  function exportEntriesCSV() {
+    downloadBlob(
+      new Blob([entriesToCsv(entries)], { type: "text/csv;charset=utf-8;" }),
+      `protein_floor_entries_${todayKey()}.csv`
+    );
+  }
+
+  async function startCsvImport(file) {
+    if (!file) return;
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length < 2) throw new Error("Expected a header row and at least one entry.");
+      setCsvImport({ fileName: file.name, headers: rows[0], rows: rows.slice(1), mapping: guessMapping(rows[0]) });
+      setStatus("");
+    } catch (e) {
+      setStatus(`CSV import failed: ${e.message}`);
+    }
+  }
+
+  function setCsvMapping(field, value) {
+    setCsvImport((prev) => ({
+      ...prev,
+      mapping: { ...prev.mapping, [field]: value === "" ? null : Number(value) },
+    }));
+  }
+
+  function confirmCsvImport() {
+    if (!csvPreview || csvPreview.problems.length > 0) return;
+    const fresh = csvPreview.rows.filter((r) => r.entry && !csvPreview.dupes.has(r.entry.id)).map((r) => r.entry);
+    setEntries((prev) => [...fresh, ...prev]);
+    setStatus(
+      `Imported ${fresh.length} entries from ${csvImport.fileName}` +
+        ` (${csvPreview.dupes.size} duplicates skipped, ${csvPreview.errorCount} rows unreadable).`
+    );
+    setCsvImport(null);
+  }
+
+  // ---------- Food lookup/search ----------
+  function providerCtx() {
+    return { usdaApiKey: usdaApiKey.trim() };
+  }
+
+  // format: the scanner's symbology hint, so 8-digit codes read as UPC-E vs EAN-8 correctly
+  async function handleBarcodeLookup(code, format) {
+    const typed = (code ?? barcode).trim();
+    if (!typed) return;
+    const { code: bc, error } = normalizeBarcode(typed, format);
+    if (error) {
+      setStatus(error);
+      return;
+    }
+    setStatus("Looking up barcode…");
+    setResults([]);
+    setSelected(null);
+    setUnknownBarcode(null);
+
+    const local = localProducts.find((p) => p.barcode === bc);
+    if (local) {
+      setResults([{ ...local, source: LOCAL_PRODUCT_SOURCE, providerId: "local" }]);
+      setStatus("Found 1 item (your product).");
+      setTab("add");
+      return;
+    }
+
+    const { item, errors } = await cachedLookupBarcode(bc, foodProviders, providerCtx());
+    if (!item) {
+      setUnknownBarcode(bc);
+      setStatus(
+        errors.length
+          ? `Barcode lookup error: ${formatProviderErrors(errors)}`
+          : "No barcode match found."
+      );
+      return;
+    }
+    setResults([item]);
+    setStatus(item.fromCache ? "Found 1 item (from offline cache)." : "Found 1 item.");
+    setTab("add");
+  }
+
+  // Open the custom food form to register a product for a barcode nobody knows.
+  function startLocalProduct(code) {
+    setCustomBarcode(code);
+    setCustomName("");
+    setCustomOpen(true);
+    setUnknownBarcode(null);
+    setStatus(`Creating your product for barcode ${code}. Fill in the label, then add it.`);
+  }
+
+  function deleteLocalProduct(product) {
+    const ok = confirm(`Forget "${product.name}" for barcode ${product.barcode}? Logged entries are not affected.`);
+    if (!ok) return;
+    setLocalProducts((prev) => prev.filter((p) => p.barcode !== product.barcode));
+  }
+
+  async function handleSearch() {
+    const q = query.trim();
+    if (!q) return;
+    setStatus("Searching…");
+    setResults([]);
+    setSelected(null);
+
+    const { results: found, errors } = await cachedSearchFoods(q, foodProviders, providerCtx());
+    setResults(found);
+    setStatus(
+      errors.length
+        ? `Found ${found.length} results. Some sources failed: ${formatProviderErrors(errors)}`
+        : `Found ${found.length} results.`
+    );
+  }
+
+  // ---------- Offline food cache ----------
+  async function loadCachedFoods() {
+    try {
+      setCachedFoods(await listCachedFoods());
+    } catch (e) {
+      setStatus(`Couldn't read the food cache: ${e.message}`);
+    }
+  }
+
+  async function refreshCached(rec) {
+    setStatus(`Refreshing ${rec.name}…`);
+    try {
+      const fresh = await refreshCachedFood(rec, foodProviders, providerCtx());
+      setStatus(fresh ? `Refreshed ${rec.name}.` : `${rec.name} wasn't found online anymore; kept the cached copy.`);
+    } catch (e) {
+      setStatus(`Refresh failed: ${e.message}`);
+    }
+    await loadCachedFoods();
+  }
+
+  async function evictCached(rec) {
+    try {
+      await deleteCachedFood(rec.id);
+      setStatus(`Removed ${rec.name} from the offline cache.`);
+      await loadCachedFoods();
+    } catch (e) {
+      setStatus(`Couldn't remove ${rec.name} from the cache: ${e.message}`);
+    }
+  }
+
+  async function clearCachedFoods() {
+    const ok = confirm("Remove every cached food? Logged entries are not affected.");
+    if (!ok) return;
+    try {
+      await clearFoodCache();
+      setStatus("Offline food cache cleared.");
+      await loadCachedFoods();
+    } catch (e) {
+      setStatus(`Couldn't clear the food cache: ${e.message}`);
+    }
+  }
+
+  function showCachedFood(rec) {
+    setResults([{ ...rec.food, fromCache: true, cachedAt: rec.cachedAt }]);
+    setSelected(null);
+    setTab("add");
+  }
+
+  // Pick a result; providers with a detail fetch get a second, richer look.
+  async function selectResult(food) {
+    setSelected(food);
+    try {
+      const detailed = await fetchFoodDetails(food, providerCtx());
+      if (detailed !== food) {
+        setSelected((cur) => (cur?.id === food.id ? detailed : cur));
+        setResults((prev) => prev.map((r) => (r.id === food.id ? detailed : r)));
+      }
+    } catch (e) {
+      setStatus(`Couldn't load details (${e.message}). Using search data.`);
+    }
+  }
+
+  // Turn "qty in unit" into a servings multiplier + the serving fields to keep on the entry.
+  function resolveLoggedAmount(food, amount, unit) {
+    const logUnit = unitsFor(food).includes(unit) ? unit : "serving";
+    const servings = servingsFor(food, amount, logUnit);
+    if (!servings || servings <= 0) {
+      setStatus("Enter an amount greater than 0.");
+      return null;
+    }
+    return { qty: servings, extra: { ...servingFields(food), loggedUnit: logUnit } };
+  }
+
+  function confirmNutrientBasis(food) {
+    if (!food.basisUncertain) return true;
+    return confirm(
+      `${food.name}: the nutrition basis (per serving vs per 100g) is uncertain.\n\nProtein ${round1(
+        food.macrosPerServing.protein
+      )}g per ${food.servingSizeLabel}. Log it anyway?`
+    );
   }
 
   function addSelectedToLog() {
     if (!selected) return;
+    if (!confirmNutrientBasis(selected)) return;
+    const logged = resolveLoggedAmount(selected, qty, qtyUnit);
+    if (!logged) return;
     addEntry({
       name: selected.name,
       source: selected.source,
       servingSizeLabel: selected.servingSizeLabel,
       macrosPerServing: selected.macrosPerServing,
-      qty,
+      qty: logged.qty,
       mealTag,
+      dayKey: logDay,
+      extra: logged.extra,
     });
     setSelected(null);
     setQty(1);
-    setTab("today");
+    setQtyUnit("serving");
+    finishLogging();
   }
 
-  function quickAdd(item, tag) {
+  // amount in unit, like the add form: whole servings or g/oz/ml/...
+  function quickAdd(item, tag, dayKey, amount = 1, unit = "serving") {
+    const logged = resolveLoggedAmount(item, amount, unit);
+    if (!logged) return false;
     addEntry({
       name: item.name,
       source: "Quick Add",
       servingSizeLabel: item.servingSizeLabel,
       macrosPerServing: item.macrosPerServing,
-      qty: 1,
+      qty: logged.qty,
       mealTag: tag ?? "Snack",
+      dayKey,
+      extra: logged.extra,
     });
+    return true;
   }
 
-  // ---------- Weekly report ----------
-  function generateWeeklyReport() {
-    const sow = startOfWeek(new Date());
-    const startISO = sow.toISOString().slice(0, 10);
-    const end = new Date(sow);
-    end.setDate(end.getDate() + 7);
-    const endISO = end.toISOString().slice(0, 10);
-
-    const weekEntries = entries.filter((e) => {
-      const d = (e.createdAt || "").slice(0, 10);
-      return d >= startISO && d < endISO;
-    });
+  function quickAddByAmount(dayKey) {
+    const q = quickAdds[Number(quickAddAmount.index)];
+    if (quickAddAmount.index === "" || !q) return;
+    if (quickAdd(q, "Snack", dayKey, quickAddAmount.qty, quickAddAmount.unit)) {
+      setQuickAddAmount({ index: "", qty: 1, unit: "serving" });
+    }
+  }
 
-    const byDay = {};
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(sow);
-      d.setDate(d.getDate() + i);
-      byDay[d.toISOString().slice(0, 10)] = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  // ---------- Natural-language quick log ----------
+  // Foods the quick log can match, in priority order.
+  async function quickLogSources() {
+    const recent = [];
+    const seen = new Set();
+    for (const e of entries) {
+      const key = (e.name || "").toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      recent.push({
+        name: e.name,
+        source: e.source,
+        servingSizeLabel: e.servingSizeLabel,
+        macrosPerServing: e.macros,
+        ...servingFields(e),
+      });
+      if (recent.length >= QUICK_LOG_RECENT) break;
     }
+    let cached = [];
+    try {
+      cached = (await listCachedFoods()).map((rec) => rec.food);
+    } catch {
+      // matching still works from Quick Adds and recent entries
+    }
+    return [
+      { kind: "Quick Add", foods: quickAdds },
+      { kind: "Recent", foods: recent },
+      { kind: "Cached", foods: cached },
+    ];
+  }
 
-    weekEntries.forEach((e) => {
-      const d = (e.createdAt || "").slice(0, 10);
-      if (!byDay[d]) byDay[d] = { calories: 0, protein: 0, carbs: 0, fat: 0 };
-      byDay[d].calories += safeNum(e.macros?.calories) * safeNum(e.qty);
-      byDay[d].protein += safeNum(e.macros?.protein) * safeNum(e.qty);
-      byDay[d].carbs += safeNum(e.macros?.carbs) * safeNum(e.qty);
-      byDay[d].fat += safeNum(e.macros?.fat) * safeNum(e.qty);
-    });
+  async function parseQuickLogText() {
+    const items = parseQuickLog(quickLogText, mealTag);
+    if (items.length === 0) {
+      setStatus("Type what you ate, e.g. “2 eggs, 170g greek yogurt, core power for lunch”.");
+      return;
+    }
+    const sources = await quickLogSources();
+    setQuickLogDraft(
+      items.map((item, idx) => {
+        const candidates = matchFoods(item.name, sources);
+        return fitQuickLogUnit({
+          id: idx,
+          text: item.text,
+          qty: item.qty,
+          unit: item.unit || "serving",
+          mealTag: item.mealTag,
+          candidates,
+          choice: candidates.length ? 0 : -1,
+        });
+      })
+    );
+    setStatus("");
+  }
 
-    const dayRows = Object.entries(byDay).map(([date, m]) => ({
-      date,
-      calories: round1(m.calories),
-      protein: round1(m.protein),
-      carbs: round1(m.carbs),
-      fat: round1(m.fat),
-    }));
+  // A typed unit the matched food can't use (cups of a per-100g food) falls back to 1 serving.
+  function fitQuickLogUnit(row) {
+    const match = row.candidates[row.choice];
+    if (!match || unitsFor(match.food).includes(row.unit)) return { ...row, note: "" };
+    return { ...row, qty: 1, unit: "serving", note: `can’t measure this in ${row.unit}; check the amount` };
+  }
 
-    const totals = dayRows.reduce(
-      (acc, r) => ({
-        calories: acc.calories + r.calories,
-        protein: acc.protein + r.protein,
-        carbs: acc.carbs + r.carbs,
-        fat: acc.fat + r.fat,
-      }),
-      { calories: 0, protein: 0, carbs: 0, fat: 0 }
+  function updateQuickLogRow(id, patch) {
+    setQuickLogDraft((prev) =>
+      prev.map((row) => {
+        if (row.id !== id) return row;
+        const next = { ...row, ...patch };
+        return "choice" in patch ? fitQuickLogUnit(next) : { ...next, note: "" };
+      })
     );
+  }
 
-    const reportObj = {
-      startISO,
-      endISO,
-      totals: {
-        calories: round1(totals.calories),
-        protein: round1(totals.protein),
-        carbs: round1(totals.carbs),
-        fat: round1(totals.fat),
-      },
-      averages: {
-        calories: round1(totals.calories / 7),
-        protein: round1(totals.protein / 7),
-        carbs: round1(totals.carbs / 7),
-        fat: round1(totals.fat / 7),
-      },
-      dayRows,
-      entryCount: weekEntries.length,
-    };
+  function quickLogServings(row) {
+    const match = row.candidates[row.choice];
+    if (!match) return null;
+    return servingsFor(match.food, row.qty, row.unit);
+  }
+
+  function confirmQuickLog() {
+    const rows = quickLogDraft.filter((row) => row.choice >= 0);
+    const bad = rows.find((row) => !(quickLogServings(row) > 0));
+    if (bad) {
+      setStatus(`Enter an amount for “${bad.text}” or skip it.`);
+      return;
+    }
+    rows.forEach((row) => {
+      const { food, kind } = row.candidates[row.choice];
+      addEntry({
+        name: food.name,
+        source: kind === "Quick Add" ? "Quick Add" : food.source,
+        servingSizeLabel: food.servingSizeLabel,
+        macrosPerServing: food.macrosPerServing,
+        qty: quickLogServings(row),
+        mealTag: row.mealTag,
+        extra: { ...servingFields(food), loggedUnit: row.unit },
+      });
+    });
+    setQuickLogDraft(null);
+    setQuickLogText("");
+    setStatus(`Logged ${rows.length} item${rows.length === 1 ? "" : "s"}.`);
+  }
+
+  // After adding from the Add Food tab, go back to wherever we came from.
+  function finishLogging() {
+    if (logDay) {
+      setHistoryDay(logDay);
+      setLogDay(null);
+      setTab("history");
+    } else {
+      setTab("today");
+    }
+  }
+
+  // ---------- History ----------
+  function openAddFoodFor(dayKey) {
+    setLogDay(dayKey === today ? null : dayKey);
+    setTab("add");
+  }
 
-    setReport(reportObj);
+  // ---------- Report ----------
+  // The builder's end date is inclusive; buildReport takes [start, end).
+  function generateReport(
+    range = { startISO: reportStart, endISO: shiftDayKey(reportEnd, 1) },
+    loggedDaysOnly = reportLoggedOnly
+  ) {
+    if (!range.startISO || !range.endISO || range.endISO <= range.startISO) {
+      setStatus("Pick a start date on or before the end date.");
+      return;
+    }
+    setReportStart(range.startISO);
+    setReportEnd(shiftDayKey(range.endISO, -1));
+    setReport({
+      ...buildReport(entries, range, { floorOn, mealTags: MEAL_TAGS, loggedDaysOnly }),
+      stats: floorStats,
+      generatedOn: todayKey(),
+    });
     setTab("report");
   }
 
-  function exportReportCSV() {
-    if (!report) return;
-    const header = "date,calories,protein,carbs,fat\n";
-    const lines = report.dayRows
-      .map((r) => `${r.date},${r.calories},${r.protein},${r.carbs},${r.fat}`)
-      .join("\n");
-    const blob = new Blob([header + lines], { type: "text/csv;charset=utf-8;" });
+  function generateWeeklyReport() {
+    generateReport(REPORT_PRESETS[0].range(todayKey()));
+  }
+
+  function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `weekly_report_${report.startISO}.csv`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   }
 
+  function reportFileStem() {
+    return `report_${report.startISO}_to_${shiftDayKey(report.endISO, -1)}`;
+  }
+
+  function exportReportCSV() {
+    if (!report) return;
+    downloadBlob(new Blob([reportToCsv(report)], { type: "text/csv;charset=utf-8;" }), `${reportFileStem()}.csv`);
+  }
+
+  async function exportChart(kind, format) {
+    const svg = reportCharts?.[kind];
+    if (!svg) return;
+    const name = `${reportFileStem()}_${kind}.${format}`;
+    if (format === "svg") {
+      downloadBlob(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }), name);
+      return;
+    }
+    try {
+      downloadBlob(await svgToPngBlob(svg), name);
+    } catch (e) {
+      setStatus(`Chart export failed: ${String(e?.message || e)}`);
+    }
+  }
+
   // ---------- Snapshots restore ----------
   function restoreSnapshot(idx) {
-    const snaps = loadJSON(LS_SNAPSHOTS_KEY) || [];
-    const snap = snaps[idx];
+    const snap = snapshots[idx];
     if (!snap?.payload) return;
 
     const ok = confirm(
@@ -736,11 +1712,23 @@ export default function App() {
     );
     if (!ok) return;
 
-    const p = snap.payload;
+    let p;
+    try {
+      p = migratePayload(snap.payload);
+    } catch (e) {
+      setStatus(`Restore failed: ${e.message}`);
+      return;
+    }
     setProteinFloor(Number(p.proteinFloor ?? 90));
     setUsdaApiKey(String(p.usdaApiKey ?? ""));
     setRoadTripMode(Boolean(p.roadTripMode));
     setQuickAdds(Array.isArray(p.quickAdds) ? p.quickAdds : DEFAULT_QUICK_ADDS);
+    setRecipes(Array.isArray(p.recipes) ? p.recipes : []);
+    setFoodProviders(p.foodProviders ?? {});
+    setLocalProducts(Array.isArray(p.localProducts) ? p.localProducts : []);
+    setWeights(sortWeights(Array.isArray(p.weights) ? p.weights : []));
+    setFloorRule({ ...DEFAULT_FLOOR_RULE, ...p.floorRule });
+    setDayFloors(p.dayFloors ?? {});
     setEntries(Array.isArray(p.entries) ? p.entries : []);
     setStatus("Snapshot restored.");
     setTab("today");
@@ -757,7 +1745,15 @@ export default function App() {
 
     setEntries([]);
     setQuickAdds(DEFAULT_QUICK_ADDS);
+    setRecipes([]);
+    setFoodProviders({});
+    setLocalProducts([]);
+    setWeights([]);
+    setFloorRule(DEFAULT_FLOOR_RULE);
+    setDayFloors({});
     setProteinFloor(90);
+    setCachedFoods(null);
+    clearFoodCache().catch(() => {});
     setUsdaApiKey("");
     setRoadTripMode(false);
 
@@ -766,9 +1762,7 @@ export default function App() {
   }
 
   // ---------- Camera barcode scanning ----------
-  const barcodeDetectorSupported = useMemo(() => {
-    return typeof window !== "undefined" && "BarcodeDetector" in window;
-  }, []);
+  const barcodeDetectorSupported = useMemo(() => hasNativeBarcodeDetector(), []);
 
   async function openScanner() {
     setScannerStatus("");
@@ -790,32 +1784,26 @@ export default function App() {
         await videoRef.current.play();
       }
 
-      if (!barcodeDetectorSupported) {
-        setScannerStatus(
-          "BarcodeDetector not supported here. You can still type the barcode manually."
-        );
-        return;
-      }
-
-      const detector = new window.BarcodeDetector({
-        formats: ["ean_13", "ean_8", "upc_a", "upc_e", "code_128"],
-      });
+      const detector = createBarcodeDetector();
+      let busy = false; // the JS decoder can take longer than one tick
 
       scanIntervalRef.current = window.setInterval(async () => {
+        if (busy) return;
+        busy = true;
         try {
           if (!videoRef.current) return;
-          const barcodes = await detector.detect(videoRef.current);
-          if (barcodes?.length) {
-            const raw = barcodes[0].rawValue;
-            if (raw) {
-              setScannerStatus(`Scanned: ${raw}`);
-              closeScanner();
-              setBarcode(raw);
-              await handleBarcodeLookup(raw);
-            }
+          const hit = await detector.detect(videoRef.current);
+          const raw = hit?.rawValue;
+          if (raw && scanIntervalRef.current) {
+            setScannerStatus(`Scanned: ${raw}`);
+            closeScanner();
+            setBarcode(raw);
+            await handleBarcodeLookup(raw, hit.format);
           }
         } catch {
           // ignore transient detect errors
+        } finally {
+          busy = false;
         }
       }, 500);
 
@@ -825,6 +1813,24 @@ export default function App() {
     }
   }
 
+  // For devices where the camera is blocked: decode a photo instead.
+  async function scanBarcodePhoto(file) {
+    if (!file) return;
+    setScannerStatus("Reading photo…");
+    try {
+      const hit = await decodeImageFile(file);
+      if (!hit) {
+        setScannerStatus("No barcode found in that photo. Try a closer, sharper shot.");
+        return;
+      }
+      setScannerStatus(`Scanned: ${hit.rawValue}`);
+      setBarcode(hit.rawValue);
+      await handleBarcodeLookup(hit.rawValue, hit.format);
+    } catch (e) {
+      setScannerStatus(e.message);
+    }
+  }
+
   function closeScanner() {
     setScannerOpen(false);
     setScannerStatus("");
@@ -843,9 +1849,633 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // ---------- UI ----------
+  // ---------- UI ----------
+  // Entry list with qty editing + delete (Today and History day view)
+  function renderEntryList(list) {
+    return list.length === 0 ? (
+      <div style={{ opacity: 0.7 }}>No entries yet.</div>
+    ) : (
+      <div style={{ display: "grid", gap: 10 }}>
+        {list.map((e) => (
+          <div
+            key={e.id}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              gap: 12,
+              alignItems: "center",
+              flexWrap: "wrap",
+            }}
+          >
+            <div style={{ minWidth: 280 }}>
+              <div>
+                <strong>{e.name}</strong>{" "}
+                <span style={{ opacity: 0.6 }}>
+                  ({e.source}) • {e.mealTag}
+                </span>
+              </div>
+
+              <div style={{ opacity: 0.75, fontSize: 13 }}>
+                Qty{" "}
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={e.qty}
+                  onChange={(ev) => updateEntryQty(e.id, ev.target.value)}
+                  style={{ width: 80, padding: 4, margin: "0 6px" }}
+                />
+                × {e.servingSizeLabel}
+                {describeLoggedAmount(e) && <> ({describeLoggedAmount(e)})</>}
+                {!roadTripMode && (
+                  <> | Protein {round1(e.macros?.protein ?? 0)}g per unit</>
+                )}
+              </div>
+
+              {Array.isArray(e.ingredients) && e.ingredients.length > 0 && (
+                <details style={{ fontSize: 13, opacity: 0.75 }}>
+                  <summary>{e.ingredients.length} ingredients</summary>
+                  {e.ingredients.map((ing, idx) => (
+                    <div key={idx}>
+                      {ing.qty} × {ing.servingSizeLabel} {ing.name}
+                    </div>
+                  ))}
+                </details>
+              )}
+            </div>
+
+            <div style={{ display: "flex", gap: 8 }}>
+              <button onClick={() => startEditEntry(e)}>Edit</button>
+              <button onClick={() => deleteEntry(e.id)}>Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // Unit picker for logging a food by servings or by weight/volume
+  function renderUnitSelect(food, value = qtyUnit, onChange = setQtyUnit) {
+    const units = unitsFor(food);
+    return (
+      <select
+        value={units.includes(value) ? value : "serving"}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ padding: 6 }}
+      >
+        {units.map((u) => (
+          <option key={u} value={u}>
+            {u === "serving" ? "× serving" : UNITS[u].label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  // Pick a Quick Add, an amount and a unit (e.g. 240 g) and log it to dayKey
+  function renderQuickAddAmount(dayKey) {
+    const q = quickAdds[Number(quickAddAmount.index)];
+    const update = (patch) => setQuickAddAmount((prev) => ({ ...prev, ...patch }));
+    return (
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+        <select
+          value={quickAddAmount.index}
+          onChange={(e) => update({ index: e.target.value })}
+          style={{ padding: 6 }}
+        >
+          <option value="">By amount…</option>
+          {quickAdds.map((item, idx) => (
+            <option key={`${item.name}-${idx}`} value={idx}>
+              {item.name}
+            </option>
+          ))}
+        </select>
+        {q && (
+          <>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={quickAddAmount.qty}
+              onChange={(e) => update({ qty: e.target.value })}
+              style={{ width: 80, padding: 6 }}
+            />
+            {renderUnitSelect(q, quickAddAmount.unit, (unit) => update({ unit }))}
+            <button onClick={() => quickAddByAmount(dayKey)}>Log</button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  // Mode chooser + diff preview for a JSON backup import
+  function renderBackupImport() {
+    const { plan } = backupImport;
+    const active = plan.sections.filter(
+      (sec) => sec.added.length || sec.changed.length || sec.removed.length || sec.skipped
+    );
+    const names = (list) =>
+      `${list.slice(0, BACKUP_PREVIEW_NAMES).join(", ")}${list.length > BACKUP_PREVIEW_NAMES ? ", …" : ""}`;
+    return (
+      <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 12 }}>
+        <div style={{ marginBottom: 8 }}>
+          <strong>{backupImport.fileName}</strong>
+          {backupImport.data.savedAt && <> • saved {new Date(backupImport.data.savedAt).toLocaleString()}</>}
+          {backupImport.dropped > 0 && (
+            <>
+              {" "}
+              • {backupImport.dropped} unreadable {backupImport.dropped === 1 ? "item" : "items"} left out
+            </>
+          )}
+        </div>
+        <div style={{ display: "grid", gap: 4 }}>
+          {IMPORT_MODES.map((m) => (
+            <label key={m.id} style={{ display: "flex", gap: 8, alignItems: "baseline" }}>
+              <input
+                type="radio"
+                name="backup-import-mode"
+                checked={backupImport.mode === m.id}
+                onChange={() => previewBackupImport(backupImport, m.id)}
+              />
+              <span>
+                <strong>{m.label}</strong> <span style={{ opacity: 0.7, fontSize: 13 }}>{m.hint}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div style={{ marginTop: 10, display: "grid", gap: 6, fontSize: 14 }}>
+          {active.length === 0 && plan.settings.length === 0 && <div>Nothing would change.</div>}
+          {active.map((sec) => (
+            <div key={sec.label}>
+              <strong>{sec.label}:</strong> {sec.added.length} added • {sec.changed.length} changed
+              {sec.removed.length > 0 && <> • {sec.removed.length} removed</>} • {sec.skipped} already here
+              {sec.added.length > 0 && (
+                <div style={{ opacity: 0.75, fontSize: 13 }}>Added: {names(sec.added)}</div>
+              )}
+              {sec.changed.length > 0 && (
+                <div style={{ opacity: 0.75, fontSize: 13 }}>Changed (file version wins): {names(sec.changed)}</div>
+              )}
+              {sec.removed.length > 0 && (
+                <div style={{ color: "#b00", fontSize: 13 }}>Removed: {names(sec.removed)}</div>
+              )}
+            </div>
+          ))}
+          {plan.settings.map((st) => (
+            <div key={st.label}>
+              <strong>{st.label}:</strong> {st.from} → {st.to}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <button onClick={confirmBackupImport}>Apply import</button>
+          <button onClick={() => setBackupImport(null)}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // Column mapping + preview for an entry CSV import
+  function renderCsvImport() {
+    const preview = csvPreview.rows.slice(0, CSV_PREVIEW_ROWS);
+    const newCount = csvPreview.rows.filter((r) => r.entry).length - csvPreview.dupes.size;
+    return (
+      <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 12 }}>
+        <div style={{ marginBottom: 8 }}>
+          <strong>{csvImport.fileName}</strong> • {csvImport.rows.length} rows. Match your columns:
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))", gap: 8 }}>
+          {ENTRY_CSV_FIELDS.map((f) => (
+            <label key={f.key} style={{ display: "grid", gap: 4, fontSize: 13 }}>
+              {f.label}
+              <select
+                value={csvImport.mapping[f.key] ?? ""}
+                onChange={(e) => setCsvMapping(f.key, e.target.value)}
+                style={{ padding: 6 }}
+              >
+                <option value="">—</option>
+                {csvImport.headers.map((h, idx) => (
+                  <option key={idx} value={idx}>
+                    {h || `Column ${idx + 1}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        {csvPreview.problems.length > 0 ? (
+          <div style={{ marginTop: 8, color: "#b00" }}>
+            {csvPreview.problems.map((p) => (
+              <div key={p}>{p}</div>
+            ))}
+          </div>
+        ) : (
+          <>
+            {csvPreview.slashDates && (
+              <div style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ fontSize: 13 }}>
+                  Dates like 03/04/2024 are{" "}
+                  <select
+                    value={csvPreview.dateOrder}
+                    onChange={(e) => setCsvImport((prev) => ({ ...prev, dateOrder: e.target.value }))}
+                    style={{ padding: 6 }}
+                  >
+                    <option value="mdy">month/day (March 4)</option>
+                    <option value="dmy">day/month (3 April)</option>
+                  </select>
+                </label>
+                {csvPreview.ambiguousDates && !csvImport.dateOrder && (
+                  <span style={{ fontSize: 13, color: "#b60" }}>
+                    Every date in this file reads both ways; check the Day column below.
+                  </span>
+                )}
+              </div>
+            )}
+            <div style={{ marginTop: 8 }}>
+              {newCount} new • {csvPreview.dupes.size} already logged (skipped) • {csvPreview.errorCount} unreadable
+            </div>
+            <div style={{ marginTop: 8, overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    {["Row", "Day", "Meal", "Food", "Qty", "Protein", "kcal", ""].map((h) => (
+                      <th key={h} style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: 6 }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((r) => (
+                    <tr key={r.row} style={{ opacity: r.entry && !csvPreview.dupes.has(r.entry.id) ? 1 : 0.55 }}>
+                      <td style={{ padding: 6 }}>{r.row}</td>
+                      {r.entry ? (
+                        <>
+                          <td style={{ padding: 6 }}>{r.entry.dayKey}</td>
+                          <td style={{ padding: 6 }}>{r.entry.mealTag}</td>
+                          <td style={{ padding: 6 }}>{r.entry.name}</td>
+                          <td style={{ padding: 6 }}>
+                            {r.entry.qty} × {r.entry.servingSizeLabel}
+                          </td>
+                          <td style={{ padding: 6 }}>{round1(r.entry.macros.protein * r.entry.qty)}g</td>
+                          <td style={{ padding: 6 }}>{round1(r.entry.macros.calories * r.entry.qty)}</td>
+                          <td style={{ padding: 6 }}>{csvPreview.dupes.has(r.entry.id) ? "duplicate" : "new"}</td>
+                        </>
+                      ) : (
+                        <td colSpan={7} style={{ padding: 6, color: "#b00" }}>
+                          {r.error}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {csvPreview.rows.length > preview.length && (
+                <div style={{ opacity: 0.7, fontSize: 13, marginTop: 4 }}>
+                  Showing the first {preview.length} of {csvPreview.rows.length} rows.
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <button onClick={confirmCsvImport} disabled={csvPreview.problems.length > 0 || newCount <= 0}>
+            Import {Math.max(0, newCount)} entries
+          </button>
+          <button onClick={() => setCsvImport(null)}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // Print-only layout of the current report (see .print-report in index.css)
+  function renderPrintReport() {
+    const floors = floorSummary(report);
+    const endDay = shiftDayKey(report.endISO, -1);
+    return (
+      <div className="print-report">
+        <h1>Protein Floor Report</h1>
+        <div>
+          {report.startISO} to {endDay} • {report.dayCount} days ({report.loggedDayCount} logged) • generated{" "}
+          {report.generatedOn}
+        </div>
+        <div>
+          Protein floor: {floors.min === floors.max ? `${floors.min}g` : `${floors.min}–${floors.max}g`} (
+          {floors.notes.slice(0, 3).join("; ")}
+          {floors.notes.length > 3 ? `; +${floors.notes.length - 3} more` : ""})
+        </div>
+
+        <h2>Summary</h2>
+        <div>
+          Totals: {report.totals.protein}g protein • {report.totals.carbs}g carbs • {report.totals.fat}g fat •{" "}
+          {report.totals.calories} kcal
+        </div>
+        <div>
+          Daily avg{report.loggedDaysOnly ? " (logged days)" : ""}: {report.averages.protein}g protein •{" "}
+          {report.averages.carbs}g carbs • {report.averages.fat}g fat • {report.averages.calories} kcal
+        </div>
+        {report.stats && (
+          <div className="print-keep" style={{ marginTop: 6 }}>
+            Floor stats as of {report.generatedOn}:{renderFloorStats(report.stats)}
+          </div>
+        )}
+        {reportCharts && (
+          <img
+            className="print-keep"
+            src={svgDataUrl(reportCharts.protein)}
+            alt="Daily protein vs floor"
+            style={{ width: "100%", marginTop: 8 }}
+          />
+        )}
+
+        <h2>Daily totals</h2>
+        <table>
+          <thead>
+            <tr>
+              {["Date", "Protein", ...report.mealTags, "Carbs", "Fat", "kcal", "Floor", "Met"].map((h) => (
+                <th key={h}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {report.dayRows.map((r) => (
+              <tr key={r.date}>
+                <td>{r.date}</td>
+                <td>{r.protein}</td>
+                {report.mealTags.map((t) => (
+                  <td key={t}>{r.mealProtein[t]}</td>
+                ))}
+                <td>{r.carbs}</td>
+                <td>{r.fat}</td>
+                <td>{r.calories}</td>
+                <td>{r.floor}</td>
+                <td>{r.floor > 0 && r.protein >= r.floor ? "✓" : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="print-keep">
+          <h2>Protein by meal</h2>
+          <table>
+            <thead>
+              <tr>
+                {["Meal", "Total", "Daily avg", "Share"].map((h) => (
+                  <th key={h}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.mealRows.map((m) => (
+                <tr key={m.mealTag}>
+                  <td>{m.mealTag}</td>
+                  <td>{m.protein}g</td>
+                  <td>{m.avgProtein}g</td>
+                  <td>{formatShare(m.share)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {report.topFoods.length > 0 && (
+          <div className="print-keep">
+            <h2>Top protein contributors</h2>
+            <table>
+              <thead>
+                <tr>
+                  {["Food", "Entries", "Protein", "Share"].map((h) => (
+                    <th key={h}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.topFoods.map((f) => (
+                  <tr key={f.name}>
+                    <td>{f.name}</td>
+                    <td>{f.entries}</td>
+                    <td>{f.protein}g</td>
+                    <td>{formatShare(f.share)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {printFoodLog && (
+          <div className="print-page-break">
+            <h2>Food log</h2>
+            {printFoodLogDays.length === 0 && <div>No entries in this range.</div>}
+            <table>
+              <thead>
+                <tr>
+                  {["Date", "Meal", "Food", "Amount", "Protein", "kcal"].map((h) => (
+                    <th key={h}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {printFoodLogDays.flatMap(({ date, entries: dayEntries }) =>
+                  dayEntries.map((e, i) => (
+                    <tr key={e.id}>
+                      <td>{i === 0 ? date : ""}</td>
+                      <td>{e.mealTag}</td>
+                      <td>{e.name}</td>
+                      <td>
+                        {e.qty} × {e.servingSizeLabel}
+                        {describeLoggedAmount(e) && <> ({describeLoggedAmount(e)})</>}
+                      </td>
+                      <td>{round1(safeNum(e.macros?.protein) * safeNum(e.qty))}g</td>
+                      <td>{round1(safeNum(e.macros?.calories) * safeNum(e.qty))}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Streaks + hit rates (Today tab and report)
+  function renderFloorStats(stats) {
+    if (roadTripMode) {
+      return <div style={{ opacity: 0.7 }}>Hidden in Road Trip Mode.</div>;
+    }
+    return (
+      <div style={{ display: "grid", gap: 6 }}>
+        <div>
+          Current streak: <strong>{stats.currentStreak}</strong> day
+          {stats.currentStreak === 1 ? "" : "s"} • Longest: <strong>{stats.longestStreak}</strong>
+        </div>
+        {stats.windows.map((w) => (
+          <div key={w.days}>
+            Last {w.days} days: <strong>{formatHitRate(w)}</strong>
+            {w.avgShortfall !== null && (
+              <span style={{ opacity: 0.75 }}> • avg {w.avgShortfall}g short on missed days</span>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // Optional structured serving size for the custom food / Quick Add forms
+  function renderServingSizeFields({ amount, setAmount, unit, setUnit, density, setDensity }) {
+    return (
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        One serving is
+        <input
+          type="number"
+          min="0"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="amount"
+          style={{ width: 90, padding: 6 }}
+        />
+        <select value={unit} onChange={(e) => setUnit(e.target.value)} style={{ padding: 6 }}>
+          {Object.keys(UNITS)
+            .filter((u) => u !== "serving")
+            .map((u) => (
+              <option key={u} value={u}>
+                {UNITS[u].label}
+              </option>
+            ))}
+        </select>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          Density (g/ml)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={density}
+            onChange={(e) => setDensity(e.target.value)}
+            placeholder="optional"
+            style={{ width: 90, padding: 6 }}
+          />
+        </label>
+        <span style={{ opacity: 0.7, fontSize: 13 }}>
+          Lets you log by g/oz/ml/cups/tbsp. Leave blank to use the label.
+        </span>
+      </div>
+    );
+  }
+
+  // Full entry editor (modal)
+  function renderEntryEditor() {
+    const d = entryDraft;
+    const setField = (field) => (ev) =>
+      setEntryDraft((prev) => ({
+        ...prev,
+        [field]: ev.target.type === "checkbox" ? ev.target.checked : ev.target.value,
+      }));
+    const hasQuickAdd = findQuickAddIndex(d.originalName, d.name) >= 0;
+
+    return (
+      <div
+        style={{
+          position: "fixed",
+          inset: 0,
+          background: "rgba(0,0,0,0.35)",
+          display: "grid",
+          placeItems: "center",
+          padding: 16,
+          zIndex: 10,
+        }}
+      >
+        <div
+          role="dialog"
+          aria-label="Edit entry"
+          style={{
+            background: "#fff",
+            color: "#213547",
+            borderRadius: 12,
+            padding: 16,
+            width: "100%",
+            maxWidth: 560,
+            display: "grid",
+            gap: 10,
+          }}
+        >
+          <h2 style={{ margin: 0 }}>Edit entry</h2>
+
+          <label style={{ display: "grid", gap: 6 }}>
+            Name
+            <input value={d.name} onChange={setField("name")} style={{ padding: 8 }} />
+          </label>
+
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+            <label style={{ display: "grid", gap: 6 }}>
+              Meal
+              <select value={d.mealTag} onChange={setField("mealTag")} style={{ padding: 8 }}>
+                {MEAL_TAGS.map((t) => (
+                  <option key={t} value={t}>
+                    {t}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Logged at
+              <input type="datetime-local" value={d.when} onChange={setField("when")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Serving label
+              <input value={d.servingSizeLabel} onChange={setField("servingSizeLabel")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Qty
+              <input type="number" min="0.1" step="0.1" value={d.qty} onChange={setField("qty")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Calories (per serving)
+              <input type="number" value={d.calories} onChange={setField("calories")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Protein (g per serving)
+              <input type="number" value={d.protein} onChange={setField("protein")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Carbs (g per serving)
+              <input type="number" value={d.carbs} onChange={setField("carbs")} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Fat (g per serving)
+              <input type="number" value={d.fat} onChange={setField("fat")} style={{ padding: 8 }} />
+            </label>
+          </div>
+
+          {hasQuickAdd && (
+            <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <input type="checkbox" checked={d.saveToQuickAdd} onChange={setField("saveToQuickAdd")} />
+              Save corrected macros back to the matching Quick Add
+            </label>
+          )}
+
+          <div style={{ display: "flex", gap: 10, justifyContent: "flex-end" }}>
+            <button onClick={() => setEntryDraft(null)}>Cancel</button>
+            <button onClick={saveEntryEdit}>Save</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div
+      className="app"
       style={{
         maxWidth: 980,
         margin: "24px auto",
@@ -862,16 +2492,28 @@ export default function App() {
         <button onClick={() => setTab("today")} disabled={tab === "today"}>
           Today
         </button>
-        <button onClick={() => setTab("add")} disabled={tab === "add"}>
+        <button onClick={() => setTab("history")} disabled={tab === "history"}>
+          History
+        </button>
+        <button
+          onClick={() => {
+            setLogDay(null);
+            setTab("add");
+          }}
+          disabled={tab === "add" && !logDay}
+        >
           Add Food
         </button>
         <button onClick={() => setTab("quickadds")} disabled={tab === "quickadds"}>
           Manage Quick Adds
         </button>
+        <button onClick={() => setTab("recipes")} disabled={tab === "recipes"}>
+          Recipes
+        </button>
         <button onClick={() => setTab("settings")} disabled={tab === "settings"}>
           Settings
         </button>
-        <button onClick={generateWeeklyReport}>Generate Weekly Report</button>
+        <button onClick={generateWeeklyReport}>Reports</button>
       </div>
 
       {(status || "").trim() && (
@@ -890,7 +2532,10 @@ export default function App() {
                     <strong>Road Trip Mode: totals hidden</strong>
                   ) : (
                     <>
-                      Protein today: <strong>{proteinToday}g</strong> / {proteinFloor}g
+                      Protein today: <strong>{proteinToday}g</strong> / {todayFloor.floor}g
+                      {todayFloor.note !== "fixed floor" && (
+                        <div style={{ fontSize: 13, opacity: 0.7 }}>Floor: {todayFloor.note}</div>
+                      )}
                     </>
                   )}
                 </div>
@@ -920,6 +2565,110 @@ export default function App() {
             </div>
           </div>
 
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h2 style={{ marginTop: 0 }}>Stats</h2>
+            {renderFloorStats(floorStats)}
+          </div>
+
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h2 style={{ marginTop: 0 }}>Quick log</h2>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <input
+                value={quickLogText}
+                onChange={(e) => setQuickLogText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") parseQuickLogText();
+                }}
+                placeholder="e.g. 2 eggs, 170g greek yogurt, core power for lunch"
+                style={{ flex: "1 1 280px", padding: 8 }}
+              />
+              <button onClick={parseQuickLogText}>Parse</button>
+            </div>
+            <div style={{ fontSize: 13, opacity: 0.7, marginTop: 6 }}>
+              “lunch: …” tags everything after it; “… for lunch” tags just that item.
+            </div>
+
+            {quickLogDraft && (
+              <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+                {quickLogDraft.map((row) => {
+                  const match = row.candidates[row.choice];
+                  const servings = quickLogServings(row);
+                  return (
+                    <div
+                      key={row.id}
+                      style={{
+                        border: "1px solid #eee",
+                        borderRadius: 10,
+                        padding: 10,
+                        display: "flex",
+                        gap: 8,
+                        flexWrap: "wrap",
+                        alignItems: "center",
+                      }}
+                    >
+                      <div style={{ minWidth: 140, opacity: 0.75 }}>“{row.text}”</div>
+                      <select
+                        value={row.choice}
+                        onChange={(e) => updateQuickLogRow(row.id, { choice: Number(e.target.value) })}
+                        style={{ padding: 6, maxWidth: 280 }}
+                      >
+                        {row.candidates.map((c, idx) => (
+                          <option key={`${c.kind}-${c.food.name}`} value={idx}>
+                            {c.food.name} ({c.kind})
+                          </option>
+                        ))}
+                        <option value={-1}>
+                          {row.candidates.length ? "Skip" : "No match (skipped)"}
+                        </option>
+                      </select>
+                      {match && (
+                        <>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.1"
+                            value={row.qty}
+                            onChange={(e) => updateQuickLogRow(row.id, { qty: e.target.value })}
+                            style={{ width: 80, padding: 6 }}
+                          />
+                          {renderUnitSelect(match.food, row.unit, (unit) =>
+                            updateQuickLogRow(row.id, { unit })
+                          )}
+                          <select
+                            value={row.mealTag}
+                            onChange={(e) => updateQuickLogRow(row.id, { mealTag: e.target.value })}
+                            style={{ padding: 6 }}
+                          >
+                            {MEAL_TAGS.map((t) => (
+                              <option key={t} value={t}>
+                                {t}
+                              </option>
+                            ))}
+                          </select>
+                          <span style={{ opacity: 0.8 }}>
+                            {servings <= 0
+                              ? "enter an amount"
+                              : !roadTripMode && `${round1(match.food.macrosPerServing.protein * servings)}g protein`}
+                            {row.note && ` (${row.note})`}
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button
+                    onClick={confirmQuickLog}
+                    disabled={!quickLogDraft.some((row) => row.choice >= 0)}
+                  >
+                    Log these
+                  </button>
+                  <button onClick={() => setQuickLogDraft(null)}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+
           <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
             <h2 style={{ marginTop: 0 }}>Quick add</h2>
             {quickAdds.length === 0 ? (
@@ -933,72 +2682,167 @@ export default function App() {
                 ))}
               </div>
             )}
+            {quickAdds.length > 0 && renderQuickAddAmount()}
+            {recipes.length > 0 && (
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+                {recipes.map((r) => (
+                  <button key={r.id} onClick={() => logRecipe(r, 1, "Snack")}>
+                    🍲 {r.name}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
             <h2 style={{ marginTop: 0 }}>Today’s log</h2>
-            {todaysEntries.length === 0 ? (
-              <div style={{ opacity: 0.7 }}>No entries yet.</div>
-            ) : (
-              <div style={{ display: "grid", gap: 10 }}>
-                {todaysEntries.map((e) => (
-                  <div
-                    key={e.id}
+            {renderEntryList(todaysEntries)}
+          </div>
+        </div>
+      )}
+
+      {tab === "history" && (
+        <div style={{ display: "grid", gap: 12 }}>
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+              <button onClick={() => setHistoryMonth((m) => shiftMonthKey(m, -1))}>‹ Prev</button>
+              <h2 style={{ margin: 0 }}>
+                {dayKeyToDate(historyMonth).toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+              </h2>
+              <button onClick={() => setHistoryMonth((m) => shiftMonthKey(m, 1))}>Next ›</button>
+            </div>
+
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "repeat(7, 1fr)",
+                gap: 4,
+                marginTop: 12,
+              }}
+            >
+              {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((d) => (
+                <div key={d} style={{ textAlign: "center", fontSize: 12, opacity: 0.6 }}>
+                  {d}
+                </div>
+              ))}
+              {calendarDays.map((d) => {
+                const inMonth = d.slice(0, 7) === historyMonth.slice(0, 7);
+                const protein = proteinByDay[d];
+                const logged = protein !== undefined;
+                const dayFloor = floorOn(d).floor;
+                const met = logged && dayFloor > 0 && protein >= dayFloor;
+                return (
+                  <button
+                    key={d}
+                    onClick={() => setHistoryDay(d)}
+                    disabled={d > today}
                     style={{
-                      display: "flex",
-                      justifyContent: "space-between",
-                      gap: 12,
-                      alignItems: "center",
-                      flexWrap: "wrap",
+                      padding: 6,
+                      minHeight: 52,
+                      borderRadius: 8,
+                      border: historyDay === d ? "2px solid #555" : "1px solid #ddd",
+                      background: met && !roadTripMode ? "#e6f4ea" : "#fff",
+                      opacity: inMonth ? 1 : 0.45,
+                      display: "grid",
+                      alignContent: "start",
+                      gap: 2,
                     }}
                   >
-                    <div style={{ minWidth: 280 }}>
-                      <div>
-                        <strong>{e.name}</strong>{" "}
-                        <span style={{ opacity: 0.6 }}>
-                          ({e.source}) • {e.mealTag}
-                        </span>
-                      </div>
-
-                      <div style={{ opacity: 0.75, fontSize: 13 }}>
-                        Qty{" "}
-                        <input
-                          type="number"
-                          min="0.1"
-                          step="0.1"
-                          value={e.qty}
-                          onChange={(ev) => updateEntryQty(e.id, ev.target.value)}
-                          style={{ width: 80, padding: 4, margin: "0 6px" }}
-                        />
-                        × {e.servingSizeLabel}
-                        {!roadTripMode && (
-                          <> | Protein {round1(e.macros?.protein ?? 0)}g per unit</>
-                        )}
-                      </div>
-                    </div>
+                    <span style={{ fontWeight: d === today ? 700 : 400 }}>{Number(d.slice(8))}</span>
+                    {logged && (
+                      <span style={{ fontSize: 11, opacity: 0.75 }}>
+                        {roadTripMode ? "•" : `${round1(protein)}g${met ? " ✓" : ""}`}
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
 
-                    <button onClick={() => deleteEntry(e.id)}>Delete</button>
-                  </div>
-                ))}
+            {!roadTripMode && (
+              <div style={{ marginTop: 8, opacity: 0.7, fontSize: 13 }}>
+                ✓ = that day’s protein floor was met.
               </div>
             )}
           </div>
+
+          {historyDay && (
+            <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+              <h2 style={{ marginTop: 0 }}>
+                Log for{" "}
+                {dayKeyToDate(historyDay).toLocaleDateString(undefined, {
+                  weekday: "long",
+                  month: "short",
+                  day: "numeric",
+                  year: "numeric",
+                })}
+              </h2>
+
+              {!roadTripMode && (
+                <div style={{ marginBottom: 10 }}>
+                  Protein: <strong>{round1(proteinByDay[historyDay] ?? 0)}g</strong> /{" "}
+                  {floorOn(historyDay).floor}g
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+                {quickAdds.map((q, idx) => (
+                  <button key={`${q.name}-${idx}`} onClick={() => quickAdd(q, "Snack", historyDay)}>
+                    + {q.name}
+                  </button>
+                ))}
+                {recipes.map((r) => (
+                  <button key={r.id} onClick={() => logRecipe(r, 1, "Snack", historyDay)}>
+                    + 🍲 {r.name}
+                  </button>
+                ))}
+                <button onClick={() => openAddFoodFor(historyDay)}>Add food to this day…</button>
+              </div>
+              {quickAdds.length > 0 && <div style={{ marginBottom: 12 }}>{renderQuickAddAmount(historyDay)}</div>}
+
+              {renderEntryList(historyEntries)}
+            </div>
+          )}
         </div>
       )}
 
       {tab === "add" && (
         <div style={{ display: "grid", gap: 12 }}>
+          {logDay && (
+            <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 12, display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <span>
+                Logging to <strong>{logDay}</strong> (backdated).
+              </span>
+              <button onClick={() => setLogDay(null)}>Log to today instead</button>
+            </div>
+          )}
+
           <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
-            <h2 style={{ marginTop: 0 }}>Scan barcode (camera)</h2>
+            <h2 style={{ marginTop: 0 }}>Scan barcode (camera or photo)</h2>
             <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
               <button onClick={openScanner}>Open Scanner</button>
+              <label style={{ display: "inline-flex", gap: 8, alignItems: "center" }}>
+                <span>Scan from photo:</span>
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => {
+                    scanBarcodePhoto(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
               <div style={{ opacity: 0.75, fontSize: 13 }}>
                 {barcodeDetectorSupported
-                  ? "Uses built-in barcode detection if your browser supports it."
-                  : "Some browsers don’t support barcode detection. Manual entry still works."}
+                  ? "Uses your browser’s built-in barcode detection."
+                  : "Uses the bundled decoder (EAN/UPC, Code 128). Hold the barcode flat and well lit."}
               </div>
             </div>
 
+            {!scannerOpen && scannerStatus && (
+              <div style={{ marginTop: 8, opacity: 0.8 }}>{scannerStatus}</div>
+            )}
+
             {scannerOpen && (
               <div style={{ marginTop: 12 }}>
                 <video
@@ -1028,6 +2872,32 @@ export default function App() {
 
             {customOpen && (
               <div style={{ marginTop: 12, display: "grid", gap: 10, maxWidth: 560 }}>
+                <label style={{ display: "inline-flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <span>Photograph nutrition facts:</span>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    onChange={(e) => {
+                      scanNutritionLabel(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+                <div style={{ opacity: 0.7, fontSize: 13, marginTop: -6 }}>
+                  Read on this device; fills the fields below for you to check.
+                </div>
+
+                {customBarcode && (
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span>
+                      Saving as your product for barcode <strong>{customBarcode}</strong>; future scans
+                      will find it.
+                    </span>
+                    <button onClick={() => setCustomBarcode("")}>Don’t link barcode</button>
+                  </div>
+                )}
+
                 <label style={{ display: "grid", gap: 6 }}>
                   Name
                   <input
@@ -1047,6 +2917,15 @@ export default function App() {
                   />
                 </label>
 
+                {renderServingSizeFields({
+                  amount: customServingAmount,
+                  setAmount: setCustomServingAmount,
+                  unit: customServingUnit,
+                  setUnit: setCustomServingUnit,
+                  density: customDensity,
+                  setDensity: setCustomDensity,
+                })}
+
                 <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
                   <label style={{ display: "grid", gap: 6 }}>
                     Calories
@@ -1109,6 +2988,7 @@ export default function App() {
                       onChange={(e) => setQty(e.target.value)}
                       style={{ width: 110, padding: 6 }}
                     />
+                    {renderUnitSelect(customFoodItem())}
                   </label>
 
                   <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
@@ -1143,6 +3023,15 @@ export default function App() {
               />
               <button onClick={() => handleBarcodeLookup()}>Lookup</button>
             </div>
+
+            {unknownBarcode && (
+              <div style={{ marginTop: 10, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span>No source knows {unknownBarcode}.</span>
+                <button onClick={() => startLocalProduct(unknownBarcode)}>
+                  Create my own product for this barcode
+                </button>
+              </div>
+            )}
           </div>
 
           <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
@@ -1169,7 +3058,7 @@ export default function App() {
                 {results.map((r) => (
                   <button
                     key={r.id}
-                    onClick={() => setSelected(r)}
+                    onClick={() => selectResult(r)}
                     style={{
                       textAlign: "left",
                       padding: 10,
@@ -1180,27 +3069,62 @@ export default function App() {
                   >
                     <div>
                       <strong>{r.name}</strong>{" "}
-                      <span style={{ opacity: 0.6 }}>({r.source})</span>
+                      <span style={{ opacity: 0.6 }}>
+                        ({r.source}
+                        {r.fromCache && `, cached ${new Date(r.cachedAt).toLocaleDateString()}`})
+                      </span>
                     </div>
                     <div style={{ fontSize: 13, opacity: 0.75 }}>
                       {r.servingSizeLabel} | P {round1(r.macrosPerServing.protein)}g • C{" "}
                       {round1(r.macrosPerServing.carbs)}g • F {round1(r.macrosPerServing.fat)}g •{" "}
                       {round1(r.macrosPerServing.calories)} kcal
                     </div>
+                    {r.nutrientBasis && (
+                      <div style={{ fontSize: 12, opacity: 0.7 }}>
+                        {describeNutrientBasis(r)}
+                        {r.per100g && r.perServing && (
+                          <>
+                            {" "}
+                            • per 100g P {round1(r.per100g.protein)}g • per serving P {round1(r.perServing.protein)}g
+                          </>
+                        )}
+                        {r.basisUncertain && <strong> • ⚠ check the label before logging</strong>}
+                      </div>
+                    )}
                   </button>
                 ))}
               </div>
 
               {selected && (
                 <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 12 }}>
-                  <h3 style={{ margin: "0 0 8px" }}>Add to today</h3>
+                  <h3 style={{ margin: "0 0 8px" }}>{logDay ? `Add to ${logDay}` : "Add to today"}</h3>
 
                   <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
                     <div style={{ minWidth: 260 }}>
                       <strong>{selected.name}</strong>
                       <div style={{ fontSize: 13, opacity: 0.75 }}>{selected.servingSizeLabel}</div>
+                      {selected.basisUncertain && (
+                        <div style={{ fontSize: 13 }}>
+                          ⚠ Open Food Facts doesn’t say whether these numbers are per serving or per 100g (or they
+                          disagree). Compare with the label.
+                        </div>
+                      )}
                     </div>
 
+                    {selected.per100g && selected.perServing && (
+                      <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                        Nutrition:
+                        <select
+                          value={selected.activeBasis}
+                          onChange={(e) => setSelected(withNutrientBasis(selected, e.target.value))}
+                          style={{ padding: 6 }}
+                        >
+                          <option value="serving">per serving ({selected.perServingLabel})</option>
+                          <option value="100g">per 100g</option>
+                        </select>
+                      </label>
+                    )}
+
                     <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
                       Qty:
                       <input
@@ -1211,6 +3135,7 @@ export default function App() {
                         onChange={(e) => setQty(e.target.value)}
                         style={{ width: 90, padding: 6 }}
                       />
+                      {renderUnitSelect(selected)}
                     </label>
 
                     <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
@@ -1225,6 +3150,7 @@ export default function App() {
                     </label>
 
                     <button onClick={addSelectedToLog}>Add</button>
+                    <button onClick={addSelectedToRecipe}>Add to recipe</button>
                   </div>
                 </div>
               )}
@@ -1237,69 +3163,307 @@ export default function App() {
         <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
           <h2 style={{ marginTop: 0 }}>Manage Quick Adds</h2>
 
-          <div style={{ display: "grid", gap: 10, maxWidth: 620 }}>
-            <label style={{ display: "grid", gap: 6 }}>
-              Name
-              <input value={qaName} onChange={(e) => setQaName(e.target.value)} style={{ padding: 8 }} />
-            </label>
+          <div style={{ display: "grid", gap: 10, maxWidth: 620 }}>
+            <label style={{ display: "grid", gap: 6 }}>
+              Name
+              <input value={qaName} onChange={(e) => setQaName(e.target.value)} style={{ padding: 8 }} />
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              Serving label
+              <input
+                value={qaServing}
+                onChange={(e) => setQaServing(e.target.value)}
+                placeholder="e.g., 1 bag, 1 bottle, 2 tbsp"
+                style={{ padding: 8 }}
+              />
+            </label>
+
+            {renderServingSizeFields({
+              amount: qaServingAmount,
+              setAmount: setQaServingAmount,
+              unit: qaServingUnit,
+              setUnit: setQaServingUnit,
+              density: qaDensity,
+              setDensity: setQaDensity,
+            })}
+
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+              <label style={{ display: "grid", gap: 6 }}>
+                Calories
+                <input type="number" value={qaCalories} onChange={(e) => setQaCalories(e.target.value)} style={{ padding: 8 }} />
+              </label>
+
+              <label style={{ display: "grid", gap: 6 }}>
+                Protein (g)
+                <input type="number" value={qaProtein} onChange={(e) => setQaProtein(e.target.value)} style={{ padding: 8 }} />
+              </label>
+
+              <label style={{ display: "grid", gap: 6 }}>
+                Carbs (g)
+                <input type="number" value={qaCarbs} onChange={(e) => setQaCarbs(e.target.value)} style={{ padding: 8 }} />
+              </label>
+
+              <label style={{ display: "grid", gap: 6 }}>
+                Fat (g)
+                <input type="number" value={qaFat} onChange={(e) => setQaFat(e.target.value)} style={{ padding: 8 }} />
+              </label>
+            </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+              <button onClick={saveQuickAdd}>
+                {qaEditIndex === null ? "Add Quick Add" : "Save Changes"}
+              </button>
+              <button onClick={resetQuickAddForm} type="button">
+                Clear
+              </button>
+              {qaEditIndex !== null && (
+                <span style={{ opacity: 0.7, fontSize: 13 }}>
+                  Editing item #{qaEditIndex + 1}
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div style={{ marginTop: 14 }}>
+            <h4 style={{ margin: "0 0 8px" }}>Your Quick Adds</h4>
+
+            {quickAdds.length === 0 ? (
+              <div style={{ opacity: 0.7 }}>No quick adds yet.</div>
+            ) : (
+              <div style={{ display: "grid", gap: 8 }}>
+                {quickAdds.map((q, idx) => (
+                  <div
+                    key={`${q.name}-${idx}`}
+                    style={{
+                      border: "1px solid #eee",
+                      borderRadius: 10,
+                      padding: 10,
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 10,
+                      flexWrap: "wrap",
+                      alignItems: "center",
+                    }}
+                  >
+                    <div style={{ minWidth: 260 }}>
+                      <div><strong>{q.name}</strong></div>
+                      <div style={{ opacity: 0.75, fontSize: 13 }}>
+                        {q.servingSizeLabel} | P {round1(q.macrosPerServing?.protein ?? 0)}g • C{" "}
+                        {round1(q.macrosPerServing?.carbs ?? 0)}g • F{" "}
+                        {round1(q.macrosPerServing?.fat ?? 0)}g •{" "}
+                        {round1(q.macrosPerServing?.calories ?? 0)} kcal
+                      </div>
+                    </div>
+
+                    <div style={{ display: "flex", gap: 8 }}>
+                      <button onClick={() => startEditQuickAdd(idx)}>Edit</button>
+                      <button onClick={() => deleteQuickAdd(idx)}>Delete</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === "recipes" && (
+        <div style={{ display: "grid", gap: 12 }}>
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h2 style={{ marginTop: 0 }}>{recipeDraft.id ? "Edit recipe" : "New recipe"}</h2>
+
+            <div style={{ display: "grid", gap: 10, maxWidth: 620 }}>
+              <label style={{ display: "grid", gap: 6 }}>
+                Name
+                <input
+                  value={recipeDraft.name}
+                  onChange={(e) => setRecipeField("name", e.target.value)}
+                  placeholder="e.g., Turkey chili, Protein oats"
+                  style={{ padding: 8 }}
+                />
+              </label>
+
+              <div>
+                <h4 style={{ margin: "0 0 8px" }}>Ingredients</h4>
+                {recipeDraft.ingredients.length === 0 ? (
+                  <div style={{ opacity: 0.7 }}>
+                    No ingredients yet. Add from a Quick Add, custom macros below, or “Add to recipe” on a search result.
+                  </div>
+                ) : (
+                  <div style={{ display: "grid", gap: 6 }}>
+                    {recipeDraft.ingredients.map((ing, idx) => (
+                      <div key={idx} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={ing.qty}
+                          onChange={(e) => updateIngredientQty(idx, e.target.value)}
+                          style={{ width: 80, padding: 4 }}
+                        />
+                        <span>
+                          × {ing.servingSizeLabel}
+                          {describeLoggedAmount(ing) && <> ({describeLoggedAmount(ing)})</>}{" "}
+                          <strong>{ing.name}</strong>{" "}
+                          <span style={{ opacity: 0.6 }}>({ing.source})</span>
+                        </span>
+                        <button onClick={() => removeIngredient(idx)}>Remove</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <select
+                  value={recipeDraft.quickAddIndex}
+                  onChange={(e) => setRecipeField("quickAddIndex", e.target.value)}
+                  style={{ padding: 6 }}
+                >
+                  <option value="">Pick a Quick Add…</option>
+                  {quickAdds.map((q, idx) => (
+                    <option key={`${q.name}-${idx}`} value={idx}>
+                      {q.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={recipeDraft.quickAddQty}
+                  onChange={(e) => setRecipeField("quickAddQty", e.target.value)}
+                  style={{ width: 80, padding: 6 }}
+                />
+                <button onClick={addQuickAddToRecipe}>Add Quick Add</button>
+              </div>
+
+              <details>
+                <summary>Add ingredient with custom macros</summary>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10, marginTop: 8 }}>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Name
+                    <input value={recipeDraft.customName} onChange={(e) => setRecipeField("customName", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Serving label
+                    <input value={recipeDraft.customServing} onChange={(e) => setRecipeField("customServing", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Calories
+                    <input type="number" value={recipeDraft.customCalories} onChange={(e) => setRecipeField("customCalories", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Protein (g)
+                    <input type="number" value={recipeDraft.customProtein} onChange={(e) => setRecipeField("customProtein", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Carbs (g)
+                    <input type="number" value={recipeDraft.customCarbs} onChange={(e) => setRecipeField("customCarbs", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Fat (g)
+                    <input type="number" value={recipeDraft.customFat} onChange={(e) => setRecipeField("customFat", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                  <label style={{ display: "grid", gap: 6 }}>
+                    Qty
+                    <input type="number" min="0" step="0.1" value={recipeDraft.customQty} onChange={(e) => setRecipeField("customQty", e.target.value)} style={{ padding: 8 }} />
+                  </label>
+                </div>
+                <button style={{ marginTop: 8 }} onClick={addCustomIngredient}>
+                  Add ingredient
+                </button>
+              </details>
+
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                Makes
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={recipeDraft.yieldAmount}
+                  onChange={(e) => setRecipeField("yieldAmount", e.target.value)}
+                  style={{ width: 90, padding: 6 }}
+                />
+                <select
+                  value={recipeDraft.yieldUnit}
+                  onChange={(e) => setRecipeField("yieldUnit", e.target.value)}
+                  style={{ padding: 6 }}
+                >
+                  <option value="servings">servings</option>
+                  <option value="g">grams (cooked weight)</option>
+                </select>
+              </div>
+
+              <div style={{ fontSize: 13, opacity: 0.8 }}>
+                Total: P {recipePreview.totalMacros.protein}g • C {recipePreview.totalMacros.carbs}g • F{" "}
+                {recipePreview.totalMacros.fat}g • {recipePreview.totalMacros.calories} kcal
+                <br />
+                Per {recipePreview.servingSizeLabel}: P {recipePreview.macrosPerServing.protein}g • C{" "}
+                {recipePreview.macrosPerServing.carbs}g • F {recipePreview.macrosPerServing.fat}g •{" "}
+                {recipePreview.macrosPerServing.calories} kcal
+              </div>
 
-            <label style={{ display: "grid", gap: 6 }}>
-              Serving label
-              <input
-                value={qaServing}
-                onChange={(e) => setQaServing(e.target.value)}
-                placeholder="e.g., 1 bag, 1 bottle, 2 tbsp"
-                style={{ padding: 8 }}
-              />
-            </label>
+              {recipeDraft.id && (
+                <label style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <input
+                    type="checkbox"
+                    checked={recipeDraft.updateLogged}
+                    onChange={(e) => setRecipeField("updateLogged", e.target.checked)}
+                  />
+                  Also update entries of this recipe logged on or after
+                  <input
+                    type="date"
+                    value={recipeDraft.updateLoggedFrom}
+                    onChange={(e) => setRecipeField("updateLoggedFrom", e.target.value)}
+                    disabled={!recipeDraft.updateLogged}
+                    style={{ padding: 4 }}
+                  />
+                </label>
+              )}
 
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
-              <label style={{ display: "grid", gap: 6 }}>
-                Calories
-                <input type="number" value={qaCalories} onChange={(e) => setQaCalories(e.target.value)} style={{ padding: 8 }} />
-              </label>
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                <button onClick={saveRecipe}>{recipeDraft.id ? "Save Changes" : "Save Recipe"}</button>
+                <button onClick={() => setRecipeDraft(newRecipeDraft())}>Clear</button>
+              </div>
+            </div>
+          </div>
 
-              <label style={{ display: "grid", gap: 6 }}>
-                Protein (g)
-                <input type="number" value={qaProtein} onChange={(e) => setQaProtein(e.target.value)} style={{ padding: 8 }} />
-              </label>
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h2 style={{ marginTop: 0 }}>Your recipes</h2>
 
-              <label style={{ display: "grid", gap: 6 }}>
-                Carbs (g)
-                <input type="number" value={qaCarbs} onChange={(e) => setQaCarbs(e.target.value)} style={{ padding: 8 }} />
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+              <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                Qty:
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={qty}
+                  onChange={(e) => setQty(e.target.value)}
+                  style={{ width: 90, padding: 6 }}
+                />
               </label>
-
-              <label style={{ display: "grid", gap: 6 }}>
-                Fat (g)
-                <input type="number" value={qaFat} onChange={(e) => setQaFat(e.target.value)} style={{ padding: 8 }} />
+              <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                Meal:
+                <select value={mealTag} onChange={(e) => setMealTag(e.target.value)} style={{ padding: 6 }}>
+                  {MEAL_TAGS.map((t) => (
+                    <option key={t} value={t}>
+                      {t}
+                    </option>
+                  ))}
+                </select>
               </label>
             </div>
 
-            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
-              <button onClick={saveQuickAdd}>
-                {qaEditIndex === null ? "Add Quick Add" : "Save Changes"}
-              </button>
-              <button onClick={resetQuickAddForm} type="button">
-                Clear
-              </button>
-              {qaEditIndex !== null && (
-                <span style={{ opacity: 0.7, fontSize: 13 }}>
-                  Editing item #{qaEditIndex + 1}
-                </span>
-              )}
-            </div>
-          </div>
-
-          <div style={{ marginTop: 14 }}>
-            <h4 style={{ margin: "0 0 8px" }}>Your Quick Adds</h4>
-
-            {quickAdds.length === 0 ? (
-              <div style={{ opacity: 0.7 }}>No quick adds yet.</div>
+            {recipes.length === 0 ? (
+              <div style={{ opacity: 0.7 }}>No recipes yet.</div>
             ) : (
               <div style={{ display: "grid", gap: 8 }}>
-                {quickAdds.map((q, idx) => (
+                {recipes.map((r) => (
                   <div
-                    key={`${q.name}-${idx}`}
+                    key={r.id}
                     style={{
                       border: "1px solid #eee",
                       borderRadius: 10,
@@ -1312,18 +3476,25 @@ export default function App() {
                     }}
                   >
                     <div style={{ minWidth: 260 }}>
-                      <div><strong>{q.name}</strong></div>
+                      <div><strong>{r.name}</strong></div>
                       <div style={{ opacity: 0.75, fontSize: 13 }}>
-                        {q.servingSizeLabel} | P {round1(q.macrosPerServing?.protein ?? 0)}g • C{" "}
-                        {round1(q.macrosPerServing?.carbs ?? 0)}g • F{" "}
-                        {round1(q.macrosPerServing?.fat ?? 0)}g •{" "}
-                        {round1(q.macrosPerServing?.calories ?? 0)} kcal
+                        {r.servingSizeLabel} | P {round1(r.macrosPerServing?.protein ?? 0)}g • C{" "}
+                        {round1(r.macrosPerServing?.carbs ?? 0)}g • F {round1(r.macrosPerServing?.fat ?? 0)}g •{" "}
+                        {round1(r.macrosPerServing?.calories ?? 0)} kcal ({r.ingredients.length} ingredients)
                       </div>
                     </div>
 
                     <div style={{ display: "flex", gap: 8 }}>
-                      <button onClick={() => startEditQuickAdd(idx)}>Edit</button>
-                      <button onClick={() => deleteQuickAdd(idx)}>Delete</button>
+                      <button
+                        onClick={() => {
+                          logRecipe(r, qty, mealTag);
+                          setQty(1);
+                        }}
+                      >
+                        Log
+                      </button>
+                      <button onClick={() => startEditRecipe(r)}>Edit</button>
+                      <button onClick={() => deleteRecipe(r.id)}>Delete</button>
                     </div>
                   </div>
                 ))}
@@ -1339,7 +3510,21 @@ export default function App() {
             <h2 style={{ marginTop: 0 }}>Settings</h2>
 
             <label style={{ display: "grid", gap: 6 }}>
-              Protein floor (grams/day)
+              Protein floor mode
+              <select
+                value={floorRule.mode}
+                onChange={(e) => updateFloorRule({ mode: e.target.value })}
+                style={{ maxWidth: 280, padding: 8 }}
+              >
+                <option value="fixed">Fixed grams per day</option>
+                <option value="perKg">Grams per kg of body weight</option>
+              </select>
+            </label>
+
+            <label style={{ display: "grid", gap: 6 }}>
+              {floorRule.mode === "perKg"
+                ? "Fallback floor until a weight is logged (grams/day)"
+                : "Protein floor (grams/day)"}
               <input
                 type="number"
                 min="0"
@@ -1349,6 +3534,36 @@ export default function App() {
               />
             </label>
 
+            {floorRule.mode === "perKg" && (
+              <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "end" }}>
+                <label style={{ display: "grid", gap: 6 }}>
+                  Grams per kg
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={floorRule.gPerKg}
+                    onChange={(e) => updateFloorRule({ gPerKg: Number(e.target.value) })}
+                    style={{ maxWidth: 120, padding: 8 }}
+                  />
+                </label>
+                <label style={{ display: "grid", gap: 6 }}>
+                  Weight to use
+                  <select
+                    value={floorRule.basis}
+                    onChange={(e) => updateFloorRule({ basis: e.target.value })}
+                    style={{ padding: 8 }}
+                  >
+                    <option value="latest">Latest weigh-in</option>
+                    <option value="average">{WEIGHT_AVG_DAYS}-day average</option>
+                  </select>
+                </label>
+                <div style={{ opacity: 0.75 }}>
+                  Today: <strong>{todayFloor.floor}g</strong> ({todayFloor.note})
+                </div>
+              </div>
+            )}
+
             <label style={{ display: "grid", gap: 6 }}>
               USDA FoodData Central API Key (optional)
               <input
@@ -1362,6 +3577,23 @@ export default function App() {
               </div>
             </label>
 
+            <div style={{ display: "grid", gap: 6 }}>
+              Food data sources
+              {FOOD_PROVIDERS.map((p) => (
+                <label key={p.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={foodProviders[p.id] ?? p.defaultEnabled}
+                    onChange={(e) => setFoodProviders((prev) => ({ ...prev, [p.id]: e.target.checked }))}
+                  />
+                  {p.label}
+                  {p.isAvailable && !p.isAvailable(providerCtx()) && (
+                    <span style={{ opacity: 0.6, fontSize: 13 }}>(needs API key)</span>
+                  )}
+                </label>
+              ))}
+            </div>
+
             <div style={{ opacity: 0.8, fontSize: 13 }}>
               Road Trip Mode hides totals on the Today screen (but still logs everything).
             </div>
@@ -1378,14 +3610,294 @@ export default function App() {
                 <input
                   type="file"
                   accept="application/json"
-                  onChange={(e) => importDataJSON(e.target.files?.[0])}
+                  onChange={(e) => {
+                    importDataJSON(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
                 />
               </label>
             </div>
 
+            {backupImport && renderBackupImport()}
+
             <div style={{ marginTop: 8, opacity: 0.7, fontSize: 13 }}>
               Tip: export once in a while, especially before travel or big edits.
             </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+              <button onClick={exportEntriesCSV}>Export entries (.csv)</button>
+
+              <label style={{ display: "inline-flex", gap: 8, alignItems: "center" }}>
+                <span>Import entries from CSV:</span>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => {
+                    startCsvImport(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+
+            {csvImport && renderCsvImport()}
+
+            <div style={{ marginTop: 12 }}>
+              <label style={{ display: "inline-flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span>Import history from {HISTORY_IMPORTERS.map((imp) => imp.label).join(", ")}:</span>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => {
+                    startHistoryImport(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+
+            {historyImport && (
+              <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 12 }}>
+                <div>
+                  <strong>{historyImport.label}</strong> export • {historyImport.fileName}
+                </div>
+                {historyImport.summary.entries > 0 ? (
+                  <div style={{ marginTop: 6 }}>
+                    {historyImport.summary.entries} entries over {historyImport.summary.days} days (
+                    {historyImport.summary.firstDay} to {historyImport.summary.lastDay}) •{" "}
+                    {historyImport.summary.protein}g protein total, {historyImport.summary.avgProtein}g per logged day
+                  </div>
+                ) : (
+                  <div style={{ marginTop: 6 }}>Nothing new to import.</div>
+                )}
+                {(historyImport.duplicates > 0 || historyImport.skipped.length > 0) && (
+                  <div style={{ marginTop: 4, opacity: 0.75, fontSize: 13 }}>
+                    {historyImport.duplicates} already logged (skipped) • {historyImport.skipped.length} rows skipped
+                    {historyImport.skipped.length > 0 &&
+                      ` (${historyImport.skipped
+                        .slice(0, 3)
+                        .map((r) => `row ${r.row}: ${r.reason}`)
+                        .join(" ")}${historyImport.skipped.length > 3 ? " …" : ""})`}
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+                  <button onClick={confirmHistoryImport} disabled={historyImport.summary.entries === 0}>
+                    Add {historyImport.summary.entries} entries
+                  </button>
+                  <button onClick={() => setHistoryImport(null)}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h3 style={{ margin: "0 0 8px" }}>Floor schedule</h3>
+            <div style={{ opacity: 0.7, fontSize: 13, marginBottom: 8 }}>
+              {floorRule.mode === "perKg"
+                ? `g/kg by weekday; blank days use ${floorRule.gPerKg} g/kg.`
+                : `Grams by weekday; blank days use ${proteinFloor}g.`}{" "}
+              Past days keep the floor they had at the time.
+            </div>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              {WEEKDAY_LABELS.map((label, idx) => {
+                const list = floorRule.mode === "perKg" ? floorRule.weekdayGPerKg : floorRule.weekdayGrams;
+                return (
+                  <label key={label} style={{ display: "grid", gap: 4, fontSize: 13 }}>
+                    {label}
+                    <input
+                      type="number"
+                      min="0"
+                      step={floorRule.mode === "perKg" ? "0.1" : "1"}
+                      value={list?.[idx] ?? ""}
+                      placeholder={String(floorRule.mode === "perKg" ? floorRule.gPerKg : proteinFloor)}
+                      onChange={(e) => setWeekdayFloor(idx, e.target.value)}
+                      style={{ width: 70, padding: 6 }}
+                    />
+                  </label>
+                );
+              })}
+            </div>
+
+            <h4 style={{ margin: "14px 0 8px" }}>Date overrides (grams)</h4>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <input
+                type="date"
+                value={overrideDay}
+                onChange={(e) => setOverrideDay(e.target.value)}
+                style={{ padding: 6 }}
+              />
+              <input
+                type="number"
+                min="0"
+                value={overrideGrams}
+                onChange={(e) => setOverrideGrams(e.target.value)}
+                placeholder="Floor (g)"
+                style={{ width: 100, padding: 6 }}
+              />
+              <button onClick={addFloorOverride}>Set override</button>
+            </div>
+            {Object.keys(floorRule.overrides).length > 0 && (
+              <div style={{ display: "grid", gap: 6, marginTop: 10 }}>
+                {Object.entries(floorRule.overrides)
+                  .sort(([a], [b]) => b.localeCompare(a))
+                  .map(([dayKey, grams]) => (
+                    <div key={dayKey} style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                      <span style={{ minWidth: 100 }}>{dayKey}</span>
+                      <strong style={{ minWidth: 60 }}>{grams}g</strong>
+                      <button onClick={() => removeFloorOverride(dayKey)}>Remove</button>
+                    </div>
+                  ))}
+              </div>
+            )}
+          </div>
+
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h3 style={{ margin: "0 0 8px" }}>Body weight</h3>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <input
+                type="date"
+                value={weightDay}
+                max={today}
+                onChange={(e) => setWeightDay(e.target.value || today)}
+                style={{ padding: 6 }}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={weightInput}
+                onChange={(e) => setWeightInput(e.target.value)}
+                placeholder="Weight"
+                style={{ width: 100, padding: 6 }}
+              />
+              <select
+                value={floorRule.weightUnit}
+                onChange={(e) => updateFloorRule({ weightUnit: e.target.value })}
+                style={{ padding: 6 }}
+              >
+                <option value="kg">kg</option>
+                <option value="lb">lb</option>
+              </select>
+              <button onClick={addWeight}>Log weight</button>
+            </div>
+
+            {weights.length === 0 ? (
+              <div style={{ opacity: 0.7, marginTop: 8 }}>No weigh-ins yet.</div>
+            ) : (
+              <div style={{ display: "grid", gap: 6, marginTop: 10, maxHeight: 240, overflowY: "auto" }}>
+                {[...weights].reverse().map((w) => (
+                  <div key={w.id} style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                    <span style={{ minWidth: 100 }}>{w.dayKey}</span>
+                    <strong style={{ minWidth: 80 }}>{formatWeight(w.kg, floorRule.weightUnit)}</strong>
+                    <button onClick={() => deleteWeight(w.id)}>Delete</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h3 style={{ margin: "0 0 8px" }}>My barcode products</h3>
+            <div style={{ opacity: 0.7, fontSize: 13, marginBottom: 8 }}>
+              Products you created for barcodes no source knew. Scans check these first; they’re
+              included in backups.
+            </div>
+            {localProducts.length === 0 ? (
+              <div style={{ opacity: 0.7 }}>None yet.</div>
+            ) : (
+              <div style={{ display: "grid", gap: 8 }}>
+                {localProducts.map((p) => (
+                  <div
+                    key={p.barcode}
+                    style={{
+                      border: "1px solid #eee",
+                      borderRadius: 10,
+                      padding: 10,
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 10,
+                      flexWrap: "wrap",
+                      alignItems: "center",
+                    }}
+                  >
+                    <div style={{ minWidth: 240 }}>
+                      <strong>{p.name}</strong>
+                      <div style={{ opacity: 0.75, fontSize: 13 }}>
+                        #{p.barcode} • {p.servingSizeLabel} • {p.macrosPerServing.protein}g protein
+                      </div>
+                    </div>
+                    <button onClick={() => deleteLocalProduct(p)}>Delete</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
+            <h3 style={{ margin: "0 0 8px" }}>Offline food cache</h3>
+            <div style={{ opacity: 0.7, fontSize: 13, marginBottom: 8 }}>
+              Every food you look up is kept here, so barcodes and searches still work with no signal.
+            </div>
+
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <button onClick={loadCachedFoods}>{cachedFoods ? "Reload" : "Browse cached foods"}</button>
+              {cachedFoods && (
+                <>
+                  <input
+                    value={cacheFilter}
+                    onChange={(e) => setCacheFilter(e.target.value)}
+                    placeholder="Filter by name or barcode"
+                    style={{ flex: "1 1 200px", padding: 6 }}
+                  />
+                  <button onClick={clearCachedFoods}>Clear cache</button>
+                </>
+              )}
+            </div>
+
+            {cachedFoods &&
+              (cachedFoods.length === 0 ? (
+                <div style={{ opacity: 0.7, marginTop: 8 }}>Nothing cached yet.</div>
+              ) : (
+                <div style={{ display: "grid", gap: 8, marginTop: 10, maxHeight: 360, overflowY: "auto" }}>
+                  <div style={{ opacity: 0.7, fontSize: 13 }}>{cachedFoods.length} foods cached.</div>
+                  {cachedFoods
+                    .filter((rec) => {
+                      const f = cacheFilter.trim().toLowerCase();
+                      return !f || rec.name.toLowerCase().includes(f) || rec.barcode.includes(f);
+                    })
+                    .map((rec) => (
+                      <div
+                        key={rec.id}
+                        style={{
+                          border: "1px solid #eee",
+                          borderRadius: 10,
+                          padding: 10,
+                          display: "flex",
+                          justifyContent: "space-between",
+                          gap: 10,
+                          flexWrap: "wrap",
+                          alignItems: "center",
+                        }}
+                      >
+                        <div style={{ minWidth: 240 }}>
+                          <div>
+                            <strong>{rec.name}</strong>{" "}
+                            <span style={{ opacity: 0.6 }}>({rec.food.source})</span>
+                          </div>
+                          <div style={{ opacity: 0.75, fontSize: 13 }}>
+                            {rec.barcode && <>#{rec.barcode} • </>}
+                            cached {new Date(rec.cachedAt).toLocaleString()}
+                          </div>
+                        </div>
+                        <div style={{ display: "flex", gap: 8 }}>
+                          <button onClick={() => showCachedFood(rec)}>Use</button>
+                          <button onClick={() => refreshCached(rec)}>Refresh</button>
+                          <button onClick={() => evictCached(rec)}>Evict</button>
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              ))}
           </div>
 
           <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
@@ -1435,13 +3947,42 @@ export default function App() {
 
       {tab === "report" && (
         <div style={{ border: "1px solid #ddd", borderRadius: 12, padding: 16 }}>
-          <h2 style={{ marginTop: 0 }}>Weekly Report</h2>
+          <h2 style={{ marginTop: 0 }}>Report</h2>
+
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+            {REPORT_PRESETS.map((p) => (
+              <button key={p.id} onClick={() => generateReport(p.range(today))}>
+                {p.label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+            <label>
+              From{" "}
+              <input type="date" value={reportStart} onChange={(e) => setReportStart(e.target.value)} />
+            </label>
+            <label>
+              to{" "}
+              <input type="date" value={reportEnd} onChange={(e) => setReportEnd(e.target.value)} />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={reportLoggedOnly}
+                onChange={(e) => setReportLoggedOnly(e.target.checked)}
+              />{" "}
+              Average over logged days only
+            </label>
+            <button onClick={() => generateReport()}>Build report</button>
+          </div>
+
           {!report ? (
-            <div style={{ opacity: 0.7 }}>Generate a report to see weekly totals.</div>
+            <div style={{ opacity: 0.7 }}>Pick a range to see totals and daily averages.</div>
           ) : (
             <>
               <div style={{ opacity: 0.8, marginBottom: 10 }}>
-                Week of <strong>{report.startISO}</strong> (entries: {report.entryCount})
+                <strong>{report.startISO}</strong> to <strong>{shiftDayKey(report.endISO, -1)}</strong> (
+                {report.dayCount} days, {report.loggedDayCount} logged, entries: {report.entryCount})
               </div>
 
               <div style={{ display: "grid", gap: 8, marginBottom: 12 }}>
@@ -1450,18 +3991,140 @@ export default function App() {
                   {report.totals.fat}g fat • {report.totals.calories} kcal
                 </div>
                 <div>
-                  <strong>Daily avg:</strong> {report.averages.protein}g protein • {report.averages.carbs}g carbs •{" "}
+                  <strong>Daily avg{report.loggedDaysOnly ? " (logged days)" : ""}:</strong>{" "}
+                  {report.averages.protein}g protein • {report.averages.carbs}g carbs •{" "}
                   {report.averages.fat}g fat • {report.averages.calories} kcal
                 </div>
               </div>
 
-              <button onClick={exportReportCSV}>Export CSV</button>
+              {report.stats && (
+                <div style={{ marginBottom: 12 }}>
+                  <strong>Floor stats</strong> (as of {report.generatedOn})
+                  <div style={{ marginTop: 6 }}>{renderFloorStats(report.stats)}</div>
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                <button onClick={exportReportCSV}>Export CSV</button>
+                <button onClick={() => window.print()}>Print / Save as PDF</button>
+                <label>
+                  <input type="checkbox" checked={printFoodLog} onChange={(e) => setPrintFoodLog(e.target.checked)} />{" "}
+                  Include food log
+                </label>
+              </div>
+
+              <div style={{ marginTop: 16 }}>
+                <strong>Charts</strong>
+                {!reportCharts ? (
+                  <div style={{ opacity: 0.7, marginTop: 6 }}>Hidden in Road Trip Mode.</div>
+                ) : (
+                  [
+                    { kind: "protein", alt: `Daily protein vs floor with ${ROLLING_DAYS}-day average` },
+                    { kind: "macros", alt: "Daily calories by macro" },
+                  ].map(({ kind, alt }) => (
+                    <div key={kind} style={{ marginTop: 8 }}>
+                      <img src={svgDataUrl(reportCharts[kind])} alt={alt} style={{ width: "100%", height: "auto" }} />
+                      <div style={{ display: "flex", gap: 8 }}>
+                        <button onClick={() => exportChart(kind, "svg")}>Save SVG</button>
+                        <button onClick={() => exportChart(kind, "png")}>Save PNG</button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+
+              <div style={{ marginTop: 16, overflowX: "auto" }}>
+                <strong>Protein by meal</strong>
+                <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+                  <thead>
+                    <tr>
+                      {["Meal", "Total", "Daily avg", "Share"].map((h) => (
+                        <th key={h} style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: 8 }}>
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.mealRows.map((m) => (
+                      <tr key={m.mealTag}>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{m.mealTag}</td>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{m.protein}g</td>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{m.avgProtein}g</td>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{formatShare(m.share)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ marginTop: 16, overflowX: "auto" }}>
+                <strong>Top protein contributors</strong>
+                {report.topFoods.length === 0 ? (
+                  <div style={{ opacity: 0.7, marginTop: 6 }}>No protein logged in this range.</div>
+                ) : (
+                  <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+                    <thead>
+                      <tr>
+                        {["#", "Food", "Entries", "Protein", "Share"].map((h) => (
+                          <th key={h} style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: 8 }}>
+                            {h}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.topFoods.map((f, i) => (
+                        <tr key={f.name}>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{i + 1}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{f.name}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{f.entries}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{f.protein}g</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{formatShare(f.share)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {report.weekRows.length > 0 && (
+                <div style={{ marginTop: 16, overflowX: "auto" }}>
+                  <strong>Week by week</strong>
+                  <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 6 }}>
+                    <thead>
+                      <tr>
+                        {["Week of", "Logged days", "Calories", "Protein", "Carbs", "Fat", "Avg protein"].map((h) => (
+                          <th key={h} style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: 8 }}>
+                            {h}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.weekRows.map((w) => (
+                        <tr key={w.weekStart}>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.weekStart}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>
+                            {w.loggedDays}/{w.days}
+                          </td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.calories}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.protein}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.carbs}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.fat}</td>
+                          <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{w.avgProtein}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
 
               <div style={{ marginTop: 16, overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse" }}>
                   <thead>
                     <tr>
-                      {["Date", "Calories", "Protein", "Carbs", "Fat"].map((h) => (
+                      {["Date", "Calories", "Protein", ...report.mealTags, "Carbs", "Fat", "Floor", "Floor basis"].map((h) => (
                         <th key={h} style={{ textAlign: "left", borderBottom: "1px solid #eee", padding: 8 }}>
                           {h}
                         </th>
@@ -1474,8 +4137,20 @@ export default function App() {
                         <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{r.date}</td>
                         <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{r.calories}</td>
                         <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{r.protein}</td>
+                        {report.mealTags.map((t) => (
+                          <td key={t} style={{ padding: 8, borderBottom: "1px solid #f3f3f3", opacity: 0.75 }}>
+                            {r.mealProtein[t]}
+                          </td>
+                        ))}
                         <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{r.carbs}</td>
                         <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>{r.fat}</td>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3" }}>
+                          {r.floor}
+                          {r.protein >= r.floor && r.floor > 0 ? " ✓" : ""}
+                        </td>
+                        <td style={{ padding: 8, borderBottom: "1px solid #f3f3f3", fontSize: 13, opacity: 0.75 }}>
+                          {r.floorNote}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -1486,9 +4161,13 @@ export default function App() {
         </div>
       )}
 
+      {entryDraft && renderEntryEditor()}
+
       <div style={{ marginTop: 18, opacity: 0.65, fontSize: 12 }}>
         Privacy: stored locally in your browser only. No account, no cloud, no grading.
       </div>
+
+      {report && renderPrintReport()}
     </div>
   );
 }
@@ -0,0 +1,221 @@
+/**
+ * Backup import planning: what a JSON backup would do to the current data,
+ * before anything is applied.
+ * - replace: the file wins wholesale (the old behaviour)
+ * - merge: collections are unioned, this device's settings are kept
+ * - entries / quickAdds: merge just that collection, leave the rest alone
+ * Entries match by id first, then by content fingerprint, so the same meal
+ * logged on a phone and re-imported from a laptop export isn't doubled.
+ * Quick Adds match by name, recipes and weigh-ins by id, products by barcode.
+ * normalizeBackup runs first: a file at the current version skips migrations,
+ * so nothing else has checked its shape.
+ */
+
+import { entryDayKey } from "./dates.js";
+import { entryFingerprint } from "./entryCsv.js";
+
+export const IMPORT_MODES = [
+  { id: "replace", label: "Replace everything", hint: "Use the file as is; anything only on this device is lost." },
+  { id: "merge", label: "Merge", hint: "Add what's new from the file; keep this device's settings." },
+  { id: "entries", label: "Entries only", hint: "Add new log entries; nothing else changes." },
+  { id: "quickAdds", label: "Quick Adds only", hint: "Add new Quick Adds; nothing else changes." },
+];
+
+// Settings a replace overwrites; merge modes keep this device's values.
+const SETTINGS = [
+  { key: "proteinFloor", label: "Protein floor" },
+  { key: "usdaApiKey", label: "USDA API key", secret: true },
+  { key: "roadTripMode", label: "Road Trip Mode" },
+  { key: "floorRule", label: "Floor rules" },
+  { key: "foodProviders", label: "Food sources" },
+];
+
+// idField: what keyOf reads; items without it can't be matched and are dropped.
+const COLLECTIONS = [
+  {
+    key: "entries",
+    idField: "id",
+    label: "Entries",
+    keyOf: (e) => e.id,
+    labelOf: (e) => `${entryDayKey(e)} ${e.name}`,
+  },
+  {
+    key: "quickAdds",
+    idField: "name",
+    label: "Quick Adds",
+    keyOf: (q) => (q.name || "").trim().toLowerCase(),
+    labelOf: (q) => q.name,
+  },
+  { key: "recipes", idField: "id", label: "Recipes", keyOf: (r) => r.id, labelOf: (r) => r.name },
+  {
+    key: "localProducts",
+    idField: "barcode",
+    label: "My barcode products",
+    keyOf: (p) => p.barcode,
+    labelOf: (p) => `${p.name} (${p.barcode})`,
+  },
+  {
+    key: "weights",
+    idField: "id",
+    label: "Weigh-ins",
+    keyOf: (w) => w.id,
+    labelOf: (w) => `${w.dayKey} ${w.kg} kg`,
+  },
+];
+
+// Settings that must be plain objects (maps or records) when present.
+const OBJECT_SETTINGS = ["floorRule", "dayFloors", "foodProviders"];
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * A migrated backup with every collection made safe to plan and apply:
+ * arrays of objects that carry their key, object settings as objects.
+ * Returns { data, dropped } where dropped counts the items left out.
+ */
+export function normalizeBackup(payload) {
+  const data = { ...payload };
+  let dropped = 0;
+  COLLECTIONS.forEach(({ key, idField }) => {
+    if (!(key in payload)) return;
+    const list = Array.isArray(payload[key]) ? payload[key] : [];
+    data[key] = list.filter(
+      (item) => isRecord(item) && typeof item[idField] === "string" && item[idField].trim() !== ""
+    );
+    dropped += list.length - data[key].length;
+  });
+  OBJECT_SETTINGS.forEach((key) => {
+    if (key in payload && !isRecord(payload[key])) delete data[key];
+  });
+  return { data, dropped };
+}
+
+// Key order can differ between devices; compare content, not serialization.
+function stable(value) {
+  if (Array.isArray(value)) return `[${value.map(stable).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stable(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sameContent(a, b) {
+  return stable(a) === stable(b);
+}
+
+/**
+ * Union of two lists. Same key + same content is skipped; same key + different
+ * content takes the file's version ("changed"). For entries, anything left
+ * over that matches an unclaimed local entry's fingerprint is a duplicate.
+ */
+function mergeList(current, incoming, { keyOf, labelOf }, fingerprint) {
+  const byKey = new Map(current.map((item, idx) => [keyOf(item), idx]));
+  const merged = [...current];
+  const diff = { added: [], changed: [], removed: [], skipped: 0 };
+  const claimed = new Set();
+  const leftovers = [];
+
+  incoming.forEach((item) => {
+    const idx = byKey.get(keyOf(item));
+    if (idx === undefined) {
+      leftovers.push(item);
+      return;
+    }
+    claimed.add(idx);
+    if (sameContent(current[idx], item)) {
+      diff.skipped += 1;
+    } else {
+      merged[idx] = item;
+      diff.changed.push(labelOf(item));
+    }
+  });
+
+  const available = {};
+  if (fingerprint) {
+    current.forEach((item, idx) => {
+      if (claimed.has(idx)) return;
+      const fp = fingerprint(item);
+      available[fp] = (available[fp] || 0) + 1;
+    });
+  }
+  leftovers.forEach((item) => {
+    const fp = fingerprint?.(item);
+    if (fp !== undefined && available[fp] > 0) {
+      available[fp] -= 1;
+      diff.skipped += 1;
+      return;
+    }
+    merged.push(item);
+    diff.added.push(labelOf(item));
+  });
+
+  return { list: merged, diff };
+}
+
+/** What replacing `current` with `incoming` adds, changes and removes. */
+function replaceDiff(current, incoming, { keyOf, labelOf }) {
+  const before = new Map(current.map((item) => [keyOf(item), item]));
+  const after = new Set(incoming.map(keyOf));
+  const diff = { added: [], changed: [], removed: [], skipped: 0 };
+  incoming.forEach((item) => {
+    const old = before.get(keyOf(item));
+    if (!old) diff.added.push(labelOf(item));
+    else if (sameContent(old, item)) diff.skipped += 1;
+    else diff.changed.push(labelOf(item));
+  });
+  current.forEach((item) => {
+    if (!after.has(keyOf(item))) diff.removed.push(labelOf(item));
+  });
+  return diff;
+}
+
+function describeSetting(setting, value) {
+  if (setting.secret) return value ? "(set)" : "(empty)";
+  if (value && typeof value === "object") return "custom";
+  return String(value ?? "—");
+}
+
+/**
+ * current / incoming: full state payloads (incoming already migrated).
+ * Returns { data, sections: [{ label, added, changed, removed, skipped }], settings: [{ label, from, to }] }
+ * where data is the payload to apply and added/changed/removed are item labels.
+ */
+export function planImport(current, incoming, mode) {
+  if (mode === "replace") {
+    return {
+      data: incoming,
+      sections: COLLECTIONS.map((c) => ({
+        label: c.label,
+        ...replaceDiff(current[c.key] || [], incoming[c.key] || [], c),
+      })),
+      settings: SETTINGS.filter((s) => !sameContent(current[s.key], incoming[s.key])).map((s) => ({
+        label: s.label,
+        from: describeSetting(s, current[s.key]),
+        to: describeSetting(s, incoming[s.key]),
+      })),
+    };
+  }
+
+  const only = { entries: ["entries"], quickAdds: ["quickAdds"] }[mode];
+  const merging = COLLECTIONS.filter((c) => !only || only.includes(c.key));
+  const data = { ...current };
+  const sections = merging.map((c) => {
+    const { list, diff } = mergeList(
+      current[c.key] || [],
+      incoming[c.key] || [],
+      c,
+      c.key === "entries" ? entryFingerprint : null
+    );
+    data[c.key] = list;
+    return { label: c.label, ...diff };
+  });
+  // Saved floors for past days: this device's record wins, the file fills gaps.
+  if (mode === "merge") data.dayFloors = { ...incoming.dayFloors, ...current.dayFloors };
+
+  return { data, sections, settings: [] };
+}
@@ -0,0 +1,362 @@
+/**
+ * Pure-JS 1D barcode decoder: EAN-13, EAN-8, UPC-A, UPC-E and Code 128.
+ * Used when the browser has no BarcodeDetector. Works on ImageData:
+ * - binarize a handful of scanlines (rows, then columns) with a local threshold
+ * - turn each line into bar/space run widths
+ * - match runs against the symbology patterns, both directions
+ * Every result is checksum-verified, so a bad read yields null, not a wrong code.
+ */
+
+import { expandUpcE, gtinCheckDigit } from "./gtin.js";
+
+// ---------- EAN / UPC patterns ----------
+// Run widths (in modules) of each digit's L code. G = reversed L; R = same widths as L.
+const L_PATTERNS = [
+  [3, 2, 1, 1],
+  [2, 2, 2, 1],
+  [2, 1, 2, 2],
+  [1, 4, 1, 1],
+  [1, 1, 3, 2],
+  [1, 2, 3, 1],
+  [1, 1, 1, 4],
+  [1, 3, 1, 2],
+  [1, 2, 1, 3],
+  [3, 1, 1, 2],
+];
+const G_PATTERNS = L_PATTERNS.map((p) => [...p].reverse());
+
+// EAN-13 first digit from the L/G parity of the six left digits (G = 1).
+const EAN13_FIRST_DIGIT = ["000000", "001011", "001101", "001110", "010011", "011001", "011100", "010101", "010110", "011010"];
+
+// UPC-E parity (number system 0) by check digit; number system 1 is the inverse.
+const UPCE_PARITY = ["111000", "110100", "110010", "110001", "101100", "100110", "100011", "101010", "101001", "100101"];
+
+// ---------- Code 128 patterns (bar/space widths, 11 modules; stop is 13) ----------
+const C128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232",
+].map((s) => s.split("").map(Number));
+const C128_STOP = [2, 3, 3, 1, 1, 1, 2];
+const C128_START_A = 103;
+const C128_START_C = 105;
+
+// Average per-module error allowed when matching a pattern.
+const MAX_AVG_VARIANCE = 0.42;
+const MAX_INDIVIDUAL_VARIANCE = 0.8;
+
+// ---------- pattern matching ----------
+function patternVariance(runs, start, pattern) {
+  let total = 0;
+  let units = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    total += runs[start + i];
+    units += pattern[i];
+  }
+  if (total < units) return Infinity; // narrower than one pixel per module
+  const module = total / units;
+  let variance = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const v = Math.abs(runs[start + i] - pattern[i] * module) / module;
+    if (v > MAX_INDIVIDUAL_VARIANCE) return Infinity;
+    variance += v;
+  }
+  return variance / pattern.length;
+}
+
+/** Index of the best matching pattern, or -1. */
+function bestMatch(runs, start, patterns) {
+  let best = -1;
+  let bestVariance = MAX_AVG_VARIANCE;
+  for (let i = 0; i < patterns.length; i++) {
+    const v = patternVariance(runs, start, patterns[i]);
+    if (v < bestVariance) {
+      bestVariance = v;
+      best = i;
+    }
+  }
+  return best;
+}
+
+function isGuard(runs, start, count) {
+  return patternVariance(runs, start, new Array(count).fill(1)) < MAX_AVG_VARIANCE;
+}
+
+// The space before the start guard should be clearly wider than a module.
+function hasQuietZone(runs, start, moduleWidth) {
+  return start === 0 || runs[start - 1] >= moduleWidth * 3;
+}
+
+function hasTrailingQuietZone(runs, end, moduleWidth) {
+  return end >= runs.length || runs[end] >= moduleWidth * 3;
+}
+
+function guardModule(runs, start) {
+  return (runs[start] + runs[start + 1] + runs[start + 2]) / 3;
+}
+
+// The whole symbol should be `modules` wide at the start guard's module width.
+function hasConsistentWidth(runs, start, count, modules) {
+  let total = 0;
+  for (let i = start; i < start + count; i++) total += runs[i];
+  const ratio = total / modules / guardModule(runs, start);
+  return ratio > 0.75 && ratio < 1.33;
+}
+
+/**
+ * Read `count` EAN digits starting at runs[start].
+ * Returns { digits, parity } (parity "1" = G code) or null.
+ */
+function readEanDigits(runs, start, count, allowG) {
+  let digits = "";
+  let parity = "";
+  for (let d = 0; d < count; d++) {
+    const at = start + d * 4;
+    const l = bestMatch(runs, at, L_PATTERNS);
+    const g = allowG ? bestMatch(runs, at, G_PATTERNS) : -1;
+    if (l < 0 && g < 0) return null;
+    if (g >= 0 && (l < 0 || patternVariance(runs, at, G_PATTERNS[g]) < patternVariance(runs, at, L_PATTERNS[l]))) {
+      digits += g;
+      parity += "1";
+    } else {
+      digits += l;
+      parity += "0";
+    }
+  }
+  return { digits, parity };
+}
+
+// runs[start] must be a bar.
+function decodeEan13(runs, start) {
+  if (start + 59 > runs.length) return null;
+  if (!isGuard(runs, start, 3) || !hasQuietZone(runs, start, guardModule(runs, start))) return null;
+  const left = readEanDigits(runs, start + 3, 6, true);
+  if (!left) return null;
+  if (!isGuard(runs, start + 27, 5)) return null;
+  const right = readEanDigits(runs, start + 32, 6, false);
+  if (!right || right.parity !== "000000") return null;
+  if (!isGuard(runs, start + 56, 3) || !hasConsistentWidth(runs, start, 59, 95)) return null;
+  if (!hasTrailingQuietZone(runs, start + 59, guardModule(runs, start))) return null;
+
+  const first = EAN13_FIRST_DIGIT.indexOf(left.parity);
+  if (first < 0) return null;
+  const code = `${first}${left.digits}${right.digits}`;
+  if (gtinCheckDigit(code.slice(0, 12)) !== code[12]) return null;
+
+  // UPC-A is EAN-13 with a leading zero.
+  return code[0] === "0" ? { format: "upc_a", rawValue: code.slice(1) } : { format: "ean_13", rawValue: code };
+}
+
+function decodeEan8(runs, start) {
+  if (start + 43 > runs.length) return null;
+  if (!isGuard(runs, start, 3) || !hasQuietZone(runs, start, guardModule(runs, start))) return null;
+  const left = readEanDigits(runs, start + 3, 4, false);
+  if (!left) return null;
+  if (!isGuard(runs, start + 19, 5)) return null;
+  const right = readEanDigits(runs, start + 24, 4, false);
+  if (!right) return null;
+  if (!isGuard(runs, start + 40, 3) || !hasConsistentWidth(runs, start, 43, 67)) return null;
+  if (!hasTrailingQuietZone(runs, start + 43, guardModule(runs, start))) return null;
+
+  const code = left.digits + right.digits;
+  if (gtinCheckDigit(code.slice(0, 7)) !== code[7]) return null;
+  return { format: "ean_8", rawValue: code };
+}
+
+// UPC-E has no middle guard and only parity as a check, so it also needs
+// quiet zones on both sides to keep noise from reading as a code.
+function decodeUpcE(runs, start) {
+  if (start + 33 > runs.length) return null;
+  const module = guardModule(runs, start);
+  if (!isGuard(runs, start, 3) || !hasQuietZone(runs, start, module * 2)) return null;
+  const body = readEanDigits(runs, start + 3, 6, true);
+  if (!body) return null;
+  if (!isGuard(runs, start + 27, 6) || !hasConsistentWidth(runs, start, 33, 51)) return null;
+  if (!hasTrailingQuietZone(runs, start + 33, module * 2)) return null;
+
+  for (const ns of ["0", "1"]) {
+    const parity = ns === "0" ? body.parity : body.parity.replace(/[01]/g, (c) => (c === "0" ? "1" : "0"));
+    const check = UPCE_PARITY.indexOf(parity);
+    if (check < 0) continue;
+    const upcE = `${ns}${body.digits}${check}`;
+    const upcA = expandUpcE(upcE);
+    if (upcA && gtinCheckDigit(upcA.slice(0, 11)) === upcA[11]) {
+      return { format: "upc_e", rawValue: upcE };
+    }
+  }
+  return null;
+}
+
+// ---------- Code 128 ----------
+function decodeCode128(runs, start) {
+  if (start + 6 > runs.length) return null;
+  const startCode = bestMatch(runs, start, C128_PATTERNS);
+  if (startCode < C128_START_A) return null;
+  const moduleWidth = (runs.slice(start, start + 6).reduce((a, b) => a + b, 0)) / 11;
+  if (!hasQuietZone(runs, start, moduleWidth * 2)) return null;
+
+  const values = [startCode];
+  let at = start + 6;
+  for (;;) {
+    if (at + 7 <= runs.length && patternVariance(runs, at, C128_STOP) < MAX_AVG_VARIANCE) break;
+    if (at + 6 > runs.length) return null;
+    const v = bestMatch(runs, at, C128_PATTERNS);
+    if (v < 0 || v >= C128_START_A) return null;
+    values.push(v);
+    at += 6;
+  }
+  if (values.length < 3) return null;
+
+  const check = values.pop();
+  const sum = values.reduce((acc, v, i) => acc + v * (i === 0 ? 1 : i), 0);
+  if (sum % 103 !== check) return null;
+
+  let set = startCode === C128_START_C ? "C" : startCode === C128_START_A ? "A" : "B";
+  let shift = false;
+  let text = "";
+  for (let i = 1; i < values.length; i++) {
+    const v = values[i];
+    const cur = shift ? (set === "A" ? "B" : "A") : set;
+    shift = false;
+    if (cur === "C") {
+      if (v < 100) text += String(v).padStart(2, "0");
+      else if (v === 100) set = "B";
+      else if (v === 101) set = "A";
+      // 102 = FNC1: ignored
+      continue;
+    }
+    if (v < 96) {
+      text += cur === "A" && v >= 64 ? String.fromCharCode(v - 64) : String.fromCharCode(v + 32);
+    } else if (v === 98) {
+      shift = true;
+    } else if (v === 99) {
+      set = "C";
+    } else if (v === 100 && cur === "A") {
+      set = "B";
+    } else if (v === 101 && cur === "B") {
+      set = "A";
+    }
+    // remaining values are FNC codes: ignored
+  }
+  return text ? { format: "code_128", rawValue: text } : null;
+}
+
+// ---------- scanlines ----------
+/** Run widths of a binarized line, starting at the first bar. */
+function toRuns(bits) {
+  const runs = [];
+  let i = 0;
+  while (i < bits.length && !bits[i]) i++;
+  const leading = i;
+  let len = 0;
+  let cur = 1;
+  for (; i < bits.length; i++) {
+    if (bits[i] === cur) {
+      len++;
+    } else {
+      runs.push(len);
+      cur = bits[i];
+      len = 1;
+    }
+  }
+  if (len) runs.push(len);
+  // Keep the leading space as a quiet zone so runs[0] stays a space.
+  return [leading, ...runs];
+}
+
+/** Binarize a luminance line against a moving-average threshold (1 = dark). */
+function binarize(line) {
+  const n = line.length;
+  const radius = Math.max(8, Math.floor(n / 16));
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + line[i];
+
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < n; i++) {
+    if (line[i] < min) min = line[i];
+    if (line[i] > max) max = line[i];
+  }
+  if (max - min < 24) return null; // flat line: nothing to read
+
+  const bits = new Uint8Array(n);
+  const globalMid = (min + max) / 2;
+  for (let i = 0; i < n; i++) {
+    const a = Math.max(0, i - radius);
+    const b = Math.min(n, i + radius + 1);
+    const local = (prefix[b] - prefix[a]) / (b - a);
+    // Blend with the global midpoint so big white/black areas don't flip.
+    bits[i] = line[i] < (local + globalMid) / 2 ? 1 : 0;
+  }
+  return bits;
+}
+
+const DECODERS = [decodeEan13, decodeEan8, decodeUpcE, decodeCode128];
+
+function decodeRuns(runs) {
+  // runs[0] is the quiet zone; bars are at odd indexes.
+  for (let start = 1; start < runs.length; start += 2) {
+    for (const decode of DECODERS) {
+      const hit = decode(runs, start);
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+export function decodeLine(line) {
+  const bits = binarize(line);
+  if (!bits) return null;
+  const forward = decodeRuns(toRuns(bits));
+  if (forward) return forward;
+  return decodeRuns(toRuns(bits.slice().reverse()));
+}
+
+function luminance(data, width, height) {
+  const lum = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < lum.length; i++, p += 4) {
+    lum[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return lum;
+}
+
+// Scan from the middle outwards: the barcode is usually centred.
+function scanOffsets(size, count) {
+  const step = size / (count + 1);
+  const out = [];
+  for (let k = 0; k < count; k++) {
+    const off = Math.ceil(k / 2) * step * (k % 2 ? -1 : 1);
+    out.push(Math.min(size - 1, Math.max(0, Math.round(size / 2 + off))));
+  }
+  return out;
+}
+
+/**
+ * Decode the first barcode found in an ImageData-like { data, width, height }.
+ * Returns { format, rawValue } or null.
+ */
+export function decodeImageData({ data, width, height }, { lines = 15 } = {}) {
+  const lum = luminance(data, width, height);
+
+  for (const y of scanOffsets(height, lines)) {
+    const hit = decodeLine(lum.subarray(y * width, (y + 1) * width));
+    if (hit) return hit;
+  }
+
+  // Rotated 90°: scan columns.
+  const col = new Uint8ClampedArray(height);
+  for (const x of scanOffsets(width, lines)) {
+    for (let y = 0; y < height; y++) col[y] = lum[y * width + x];
+    const hit = decodeLine(col);
+    if (hit) return hit;
+  }
+  return null;
+}
@@ -0,0 +1,114 @@
+/**
+ * GTIN helpers (EAN-13 / EAN-8 / UPC-A / UPC-E): check digits and UPC-E expansion.
+ * Digits are always strings so leading zeros survive.
+ */
+
+/** Check digit for a GTIN body (everything but the check digit). */
+export function gtinCheckDigit(body) {
+  // Weights alternate 3,1,3,... starting from the rightmost body digit.
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function hasValidCheckDigit(code) {
+  return /^\d{8,14}$/.test(code) && gtinCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * Expand an 8-digit UPC-E (number system + 6 digits + check) to 12-digit UPC-A.
+ * Returns null when the number system isn't 0 or 1.
+ */
+export function expandUpcE(upcE) {
+  if (!/^[01]\d{7}$/.test(upcE)) return null;
+  const ns = upcE[0];
+  const d = upcE.slice(1, 7);
+  const check = upcE[7];
+  const last = d[5];
+
+  let body;
+  if (last <= "2") body = `${d[0]}${d[1]}${last}0000${d[2]}${d[3]}${d[4]}`;
+  else if (last === "3") body = `${d[0]}${d[1]}${d[2]}00000${d[3]}${d[4]}`;
+  else if (last === "4") body = `${d[0]}${d[1]}${d[2]}${d[3]}00000${d[4]}`;
+  else body = `${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}0000${last}`;
+
+  return `${ns}${body}${check}`;
+}
+
+// The one adjacent swap that fixes the check digit, as [i, i + 1], or null
+// when none or several do (then we can't say which).
+function findTransposition(code) {
+  const fixes = [];
+  for (let i = 0; i < code.length - 1; i++) {
+    if (code[i] === code[i + 1]) continue;
+    const swapped = code.slice(0, i) + code[i + 1] + code[i] + code.slice(i + 2);
+    if (hasValidCheckDigit(swapped)) fixes.push([i, i + 1]);
+  }
+  return fixes.length === 1 ? fixes[0] : null;
+}
+
+function checkDigitError(code, kind) {
+  const swap = findTransposition(code);
+  if (swap) {
+    return `Check digit doesn’t match for this ${kind}. Digits ${swap[0] + 1} and ${swap[1] + 1} (“${code[swap[0]]}${code[swap[1]]}”) look swapped.`;
+  }
+  const expected = gtinCheckDigit(code.slice(0, -1));
+  return `Check digit doesn’t match for this ${kind}: the last digit is ${code.slice(-1)} but the others give ${expected}. Either the last digit or one of the others is mistyped.`;
+}
+
+/**
+ * Validate a typed or scanned barcode and normalize it to the key Open Food
+ * Facts uses: UPC-E -> UPC-A -> EAN-13 (leading 0); EAN-8 stays 8 digits.
+ * `format` is the scanner's hint ("upc_e", "ean_8", ...) when known.
+ * Returns { code } or { error } with a message naming the likely bad digit.
+ */
+export function normalizeBarcode(input, format) {
+  const raw = String(input ?? "").replace(/[\s-]/g, "");
+  if (!raw) return { error: "Enter a barcode." };
+  if (!/^\d+$/.test(raw)) return { error: "Product barcodes are digits only (EAN/UPC)." };
+
+  if (raw.length === 8) {
+    const upcA = expandUpcE(raw);
+    const asUpcE = upcA && hasValidCheckDigit(upcA);
+    if (format === "upc_e" || (format !== "ean_8" && asUpcE)) {
+      if (!upcA) return { error: "UPC-E barcodes start with 0 or 1." };
+      if (!asUpcE) {
+        const expected = gtinCheckDigit(upcA.slice(0, -1));
+        return {
+          error: `Check digit doesn’t match for this UPC-E: the last digit is ${raw[7]} but the others give ${expected}. Either the last digit or one of the others is mistyped.`,
+        };
+      }
+      return { code: `0${upcA}` };
+    }
+    if (!hasValidCheckDigit(raw)) {
+      if (upcA && !format) {
+        return { error: "Check digit doesn’t match as either UPC-E or EAN-8. Recheck each digit." };
+      }
+      return { error: checkDigitError(raw, "EAN-8") };
+    }
+    return { code: raw };
+  }
+  if (raw.length === 12) {
+    if (!hasValidCheckDigit(raw)) return { error: checkDigitError(raw, "UPC-A") };
+    return { code: `0${raw}` };
+  }
+  if (raw.length === 13) {
+    if (!hasValidCheckDigit(raw)) return { error: checkDigitError(raw, "EAN-13") };
+    return { code: raw };
+  }
+  if (raw.length === 14 && raw[0] === "0") {
+    if (!hasValidCheckDigit(raw)) return { error: checkDigitError(raw, "GTIN-14") };
+    return { code: raw.slice(1) };
+  }
+  return {
+    error: `${raw.length} digits isn’t a product barcode length (UPC-E/EAN-8: 8, UPC-A: 12, EAN-13: 13).`,
+  };
+}
+
+/** Keys a normalized barcode may be stored under (older data kept 12-digit UPC-A). */
+export function barcodeVariants(code) {
+  return code.length === 13 && code[0] === "0" ? [code, code.slice(1)] : [code];
+}
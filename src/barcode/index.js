@@ -0,0 +1,111 @@
+/**
+ * One barcode detector for the app. Native BarcodeDetector when the browser
+ * has it, otherwise the bundled JS decoder reading frames through a canvas.
+ * detect(source) and decodeImageFile(file) resolve to { format, rawValue } or null.
+ */
+
+import { decodeImageData } from "./decoder.js";
+
+export const BARCODE_FORMATS = ["ean_13", "ean_8", "upc_a", "upc_e", "code_128"];
+
+// Frames wider than this are scaled down before decoding (keeps scans fast).
+const MAX_DECODE_WIDTH = 800;
+// Photos: try small first, then bigger for barcodes that fill little of the shot.
+const PHOTO_DECODE_WIDTHS = [800, 1600];
+const PHOTO_SCAN_LINES = 31;
+
+export function hasNativeBarcodeDetector() {
+  return typeof window !== "undefined" && "BarcodeDetector" in window;
+}
+
+function sourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0,
+  };
+}
+
+function createCanvasDecoder() {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  return async (source, { maxWidth = MAX_DECODE_WIDTH, lines } = {}) => {
+    const { width, height } = sourceSize(source);
+    if (!width || !height) return null;
+    const scale = Math.min(1, maxWidth / width);
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height), { lines });
+  };
+}
+
+function createNativeDecoder() {
+  const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+  return async (source) => {
+    const codes = await detector.detect(source);
+    const hit = codes.find((c) => c?.rawValue);
+    return hit ? { format: hit.format, rawValue: hit.rawValue } : null;
+  };
+}
+
+/** Returns { native, detect(source) } for a video, image, canvas or ImageBitmap. */
+export function createBarcodeDetector() {
+  if (hasNativeBarcodeDetector()) {
+    try {
+      return { native: true, detect: createNativeDecoder() };
+    } catch {
+      // Some browsers expose the class but reject these formats: fall through.
+    }
+  }
+  return { native: false, detect: createCanvasDecoder() };
+}
+
+async function loadImage(file) {
+  if (typeof createImageBitmap === "function") {
+    return createImageBitmap(file, { imageOrientation: "from-image" });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Decode a barcode from a photo (File/Blob). Native detection first when the
+ * browser has it, then the bundled decoder at a couple of sizes.
+ * Throws if the file isn't a readable image.
+ */
+export async function decodeImageFile(file) {
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch {
+    throw new Error("Couldn’t read that image.");
+  }
+
+  try {
+    if (hasNativeBarcodeDetector()) {
+      try {
+        const hit = await createNativeDecoder()(image);
+        if (hit) return hit;
+      } catch {
+        // fall back to the bundled decoder
+      }
+    }
+    const decode = createCanvasDecoder();
+    for (const maxWidth of PHOTO_DECODE_WIDTHS) {
+      const hit = await decode(image, { maxWidth, lines: PHOTO_SCAN_LINES });
+      if (hit) return hit;
+      if (sourceSize(image).width <= maxWidth) break;
+    }
+    return null;
+  } finally {
+    image.close?.();
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Trend charts as plain SVG markup (no chart library):
+ * - protein: daily bars, the floor that applied each day, 7-day rolling average
+ * - macros: stacked calories from protein / carbs / fat per day
+ * The same string is shown on screen and saved as .svg, or rasterized to .png.
+ */
+
+import { shiftDayKey } from "./dates.js";
+import { round1 } from "./macros.js";
+import { macrosByDay } from "./report.js";
+
+export const ROLLING_DAYS = 7;
+
+const WIDTH = 720;
+const HEIGHT = 260;
+const PAD = { top: 28, right: 12, bottom: 28, left: 44 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const COLORS = {
+  axis: "#999",
+  grid: "#eee",
+  text: "#444",
+  bar: "#c9c9c9",
+  barMet: "#7cb98b",
+  floor: "#d9534f",
+  average: "#2f6fb3",
+  protein: "#7cb98b",
+  carbs: "#e8c468",
+  fat: "#d98b5f",
+};
+
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+function esc(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+/** Round up to 1/2/2.5/5 × 10^n so the axis ticks are readable. */
+function niceMax(value) {
+  if (!(value > 0)) return 10;
+  const pow = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find((s) => s * pow >= value);
+  return step * pow;
+}
+
+/**
+ * One row per day in [startISO, endISO):
+ * { date, protein, carbs, fat, calories, floor, average } where `average` is the
+ * protein mean over the ROLLING_DAYS ending that day (earlier days count too,
+ * so the line is right from the first day of the range).
+ */
+export function chartSeries(entries, { startISO, endISO }, floorOn) {
+  const lookbackStart = shiftDayKey(startISO, -(ROLLING_DAYS - 1));
+  const byDay = macrosByDay(entries, lookbackStart, endISO);
+  const keys = Object.keys(byDay);
+  return keys.slice(ROLLING_DAYS - 1).map((date, i) => {
+    const recent = keys.slice(i, i + ROLLING_DAYS);
+    const sum = recent.reduce((acc, d) => acc + byDay[d].protein, 0);
+    const m = byDay[date];
+    return {
+      date,
+      protein: round1(m.protein),
+      carbs: round1(m.carbs),
+      fat: round1(m.fat),
+      calories: round1(m.calories),
+      floor: floorOn(date).floor,
+      average: round1(sum / ROLLING_DAYS),
+    };
+  });
+}
+
+function frame(title, yMax, unit, days, legend, body) {
+  const y = (v) => round1(PAD.top + PLOT_H - (v / yMax) * PLOT_H);
+  const slot = PLOT_W / days.length;
+  const labelEvery = Math.ceil(days.length / 10);
+
+  const grid = [0, 0.25, 0.5, 0.75, 1]
+    .map((f) => {
+      const v = yMax * f;
+      return (
+        `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(v)}" y2="${y(v)}" stroke="${COLORS.grid}"/>` +
+        `<text x="${PAD.left - 6}" y="${y(v) + 4}" text-anchor="end">${round1(v)}</text>`
+      );
+    })
+    .join("");
+
+  const xLabels = days
+    .map((d, i) =>
+      i % labelEvery === 0
+        ? `<text x="${round1(PAD.left + slot * (i + 0.5))}" y="${HEIGHT - 10}" text-anchor="middle">${esc(d.date.slice(5))}</text>`
+        : ""
+    )
+    .join("");
+
+  let lx = PAD.left;
+  const legendItems = legend
+    .map(({ label, color, line }) => {
+      const swatch = line
+        ? `<line x1="${lx}" x2="${lx + 14}" y1="14" y2="14" stroke="${color}" stroke-width="2"${line === "dashed" ? ' stroke-dasharray="4 3"' : ""}/>`
+        : `<rect x="${lx}" y="8" width="14" height="12" fill="${color}"/>`;
+      const item = `${swatch}<text x="${lx + 18}" y="18">${esc(label)}</text>`;
+      lx += 26 + label.length * 6.5;
+      return item;
+    })
+    .join("");
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}"` +
+    ` font-family="sans-serif" font-size="11" fill="${COLORS.text}">` +
+    `<title>${esc(title)}</title>` +
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>` +
+    grid +
+    body({ y, slot }) +
+    `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(0)}" y2="${y(0)}" stroke="${COLORS.axis}"/>` +
+    `<text x="${WIDTH - PAD.right}" y="18" text-anchor="end">${esc(unit)}</text>` +
+    xLabels +
+    legendItems +
+    `</svg>`
+  );
+}
+
+// Bars fill most of each day's slot, but stay bars on short ranges.
+function barWidth(slot) {
+  return round1(Math.min(40, Math.max(1, slot * 0.7)));
+}
+
+function polyline(points, color, dashed) {
+  if (points.length === 0) return "";
+  const dash = dashed ? ' stroke-dasharray="4 3"' : "";
+  return `<polyline points="${points.join(" ")}" fill="none" stroke="${color}" stroke-width="2"${dash}/>`;
+}
+
+/** Daily protein bars (green when the floor was met), floor steps, rolling average. */
+export function proteinChartSvg(days) {
+  const yMax = niceMax(Math.max(...days.map((d) => Math.max(d.protein, d.floor, d.average))));
+  const legend = [
+    { label: "Protein", color: COLORS.bar },
+    { label: "Floor met", color: COLORS.barMet },
+    { label: "Floor", color: COLORS.floor, line: "dashed" },
+    { label: `${ROLLING_DAYS}-day avg`, color: COLORS.average, line: "solid" },
+  ];
+  return frame("Daily protein vs floor", yMax, "g protein", days, legend, ({ y, slot }) => {
+    const x = (i) => round1(PAD.left + slot * i);
+    const barW = barWidth(slot);
+    const bars = days
+      .map((d, i) => {
+        if (d.protein <= 0) return "";
+        const met = d.floor > 0 && d.protein >= d.floor;
+        const top = y(d.protein);
+        return (
+          `<rect x="${round1(x(i) + (slot - barW) / 2)}" y="${top}" width="${barW}" height="${round1(y(0) - top)}"` +
+          ` fill="${met ? COLORS.barMet : COLORS.bar}"><title>${esc(d.date)}: ${d.protein}g</title></rect>`
+        );
+      })
+      .join("");
+    // Floor as steps: flat across each day's slot
+    const floorPts = days.flatMap((d, i) => [`${x(i)},${y(d.floor)}`, `${x(i + 1)},${y(d.floor)}`]);
+    const avgPts = days.map((d, i) => `${x(i + 0.5)},${y(d.average)}`);
+    return bars + polyline(floorPts, COLORS.floor, true) + polyline(avgPts, COLORS.average, false);
+  });
+}
+
+/** Stacked calories from protein, carbs and fat per day. */
+export function macroChartSvg(days) {
+  const kcal = days.map((d) => ({
+    date: d.date,
+    protein: d.protein * KCAL_PER_GRAM.protein,
+    carbs: d.carbs * KCAL_PER_GRAM.carbs,
+    fat: d.fat * KCAL_PER_GRAM.fat,
+  }));
+  const yMax = niceMax(Math.max(...kcal.map((d) => d.protein + d.carbs + d.fat)));
+  const layers = ["protein", "carbs", "fat"];
+  const legend = layers.map((k) => ({ label: k[0].toUpperCase() + k.slice(1), color: COLORS[k] }));
+  return frame("Calories by macro", yMax, "kcal", days, legend, ({ y, slot }) => {
+    const barW = barWidth(slot);
+    return kcal
+      .map((d, i) => {
+        let base = 0;
+        return layers
+          .map((k) => {
+            if (d[k] <= 0) return "";
+            const top = y(base + d[k]);
+            const rect =
+              `<rect x="${round1(PAD.left + slot * i + (slot - barW) / 2)}" y="${top}" width="${barW}"` +
+              ` height="${round1(y(base) - top)}"` +
+              ` fill="${COLORS[k]}"><title>${esc(d.date)}: ${round1(d[k])} kcal ${k}</title></rect>`;
+            base += d[k];
+            return rect;
+          })
+          .join("");
+      })
+      .join("");
+  });
+}
+
+export function svgDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/** Rasterize chart markup to a PNG Blob at `scale`× for sharp text. */
+export function svgToPngBlob(svg, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = WIDTH * scale;
+      canvas.height = HEIGHT * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, WIDTH, HEIGHT);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png");
+    };
+    img.onerror = () => reject(new Error("Could not render chart"));
+    img.src = svgDataUrl(svg);
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * Minimal CSV reading/writing (RFC 4180 quoting). The reader copes with what
+ * spreadsheet apps actually save: a UTF-8 BOM, CRLF line ends, quoted fields
+ * with embedded newlines, and ";" or tab delimiters.
+ */
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvRow(cells) {
+  return cells.map(csvCell).join(",");
+}
+
+// Whichever candidate appears most in the first line (outside quotes is close enough)
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+/** Parse CSV text into rows of strings. Blank lines are dropped. */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const delim = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === "") {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
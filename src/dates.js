@@ -0,0 +1,85 @@
+/**
+ * Local-day model. Every "which day is this?" question goes through here.
+ * - dayKey: local calendar date "YYYY-MM-DD" where the entry was logged
+ * - tzOffsetMin: minutes east of UTC at logging time (e.g. -300 for EST)
+ * Entries keep their dayKey even if the device later changes time zone.
+ */
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function localDayKey(date = new Date()) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+export function todayKey() {
+  return localDayKey(new Date());
+}
+
+export function tzOffsetMin(date = new Date()) {
+  return -new Date(date).getTimezoneOffset();
+}
+
+/** Local midnight of a day key. */
+export function dayKeyToDate(dayKey) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function shiftDayKey(dayKey, days) {
+  const d = dayKeyToDate(dayKey);
+  d.setDate(d.getDate() + days);
+  return localDayKey(d);
+}
+
+/** Monday-based week start for a day key. */
+export function startOfWeekKey(dayKey) {
+  const d = dayKeyToDate(dayKey);
+  const day = (d.getDay() + 6) % 7; // 0=Mon
+  return shiftDayKey(dayKey, -day);
+}
+
+/**
+ * Day key for an entry. Older entries without one fall back to the
+ * local date of createdAt on this device.
+ */
+export function entryDayKey(entry) {
+  if (entry?.dayKey) return entry.dayKey;
+  if (!entry?.createdAt) return "";
+  return localDayKey(entry.createdAt);
+}
+
+/** Fields to stamp on a new entry logged at `date`. */
+export function dayStamp(date = new Date()) {
+  return {
+    createdAt: new Date(date).toISOString(),
+    dayKey: localDayKey(date),
+    tzOffsetMin: tzOffsetMin(date),
+  };
+}
+
+export function startOfMonthKey(dayKey) {
+  return `${dayKey.slice(0, 7)}-01`;
+}
+
+export function shiftMonthKey(monthKey, months) {
+  const d = dayKeyToDate(monthKey);
+  d.setMonth(d.getMonth() + months, 1);
+  return localDayKey(d);
+}
+
+/** A moment on `dayKey` at the time of day of `time` (for backdating). */
+export function dateOnDay(dayKey, time = new Date()) {
+  const d = dayKeyToDate(dayKey);
+  const t = new Date(time);
+  d.setHours(t.getHours(), t.getMinutes(), t.getSeconds(), t.getMilliseconds());
+  return d;
+}
+
+/** "YYYY-MM-DDTHH:mm" in local time, for <input type="datetime-local">. */
+export function toLocalInputValue(date) {
+  const d = new Date(date);
+  return `${localDayKey(d)}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
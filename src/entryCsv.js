@@ -0,0 +1,282 @@
+/**
+ * Entry-level CSV: every logged entry out to a spreadsheet, and rows from a
+ * spreadsheet back in as entries.
+ * - Export columns are the same names guessMapping looks for, so our own
+ *   export re-imports without touching the mapping
+ * - Import is mapping-driven: { field: columnIndex } chosen on the mapping screen
+ * - Duplicates are rows matching an existing entry on day, name, qty and macros
+ */
+
+import { csvRow } from "./csv.js";
+import { dayKeyToDate, dayStamp, entryDayKey } from "./dates.js";
+import { makeMacro, round1, safeNum } from "./macros.js";
+
+const MACRO_KEYS = ["calories", "protein", "carbs", "fat"];
+
+/**
+ * Fields an import can fill. `aliases` are lowercased header names that map
+ * to the field automatically.
+ */
+export const ENTRY_CSV_FIELDS = [
+  { key: "timestamp", label: "Timestamp", aliases: ["timestamp", "created_at", "createdat", "datetime", "date time"] },
+  { key: "day", label: "Day", aliases: ["day", "date", "daykey", "day_key"] },
+  { key: "time", label: "Time", aliases: ["time"] },
+  { key: "mealTag", label: "Meal", aliases: ["meal_tag", "meal", "mealtag", "meal tag"] },
+  { key: "name", label: "Food name", aliases: ["name", "food", "food name", "item", "description"] },
+  { key: "source", label: "Source", aliases: ["source"] },
+  { key: "qty", label: "Quantity (servings)", aliases: ["qty", "quantity", "servings", "amount"] },
+  { key: "serving", label: "Serving", aliases: ["serving", "serving size", "serving_size", "unit"] },
+  { key: "calories", label: "Calories per serving", aliases: ["calories", "kcal", "energy"] },
+  { key: "protein", label: "Protein per serving (g)", aliases: ["protein", "protein (g)", "protein_g"] },
+  { key: "carbs", label: "Carbs per serving (g)", aliases: ["carbs", "carbohydrates", "carbs (g)", "carbs_g"] },
+  { key: "fat", label: "Fat per serving (g)", aliases: ["fat", "fat (g)", "total fat", "fat_g"] },
+  { key: "totalCalories", label: "Calories total", aliases: ["total_calories", "total calories"] },
+  { key: "totalProtein", label: "Protein total (g)", aliases: ["total_protein", "total protein"] },
+  { key: "totalCarbs", label: "Carbs total (g)", aliases: ["total_carbs", "total carbs"] },
+  { key: "totalFat", label: "Fat total (g)", aliases: ["total_fat"] },
+];
+
+const EXPORT_HEADER = [
+  "timestamp",
+  "day",
+  "meal_tag",
+  "name",
+  "source",
+  "qty",
+  "serving",
+  "calories",
+  "protein",
+  "carbs",
+  "fat",
+  "total_calories",
+  "total_protein",
+  "total_carbs",
+  "total_fat",
+];
+
+/** Every entry, oldest first, one row each; macros per serving and totals. */
+export function entriesToCsv(entries) {
+  const sorted = [...entries].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  const lines = [csvRow(EXPORT_HEADER)];
+  sorted.forEach((e) => {
+    const qty = safeNum(e.qty);
+    const per = MACRO_KEYS.map((k) => round1(safeNum(e.macros?.[k])));
+    const totals = MACRO_KEYS.map((k) => round1(safeNum(e.macros?.[k]) * qty));
+    lines.push(
+      csvRow([e.createdAt, entryDayKey(e), e.mealTag, e.name, e.source, qty, e.servingSizeLabel, ...per, ...totals])
+    );
+  });
+  return lines.join("\n");
+}
+
+/** Header row -> { field: columnIndex } for every field with a recognizable header. */
+export function guessMapping(headers) {
+  const normalized = headers.map((h) => String(h).trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+  ENTRY_CSV_FIELDS.forEach((f) => {
+    const idx = normalized.findIndex((h, i) => !used.has(i) && f.aliases.includes(h));
+    if (idx >= 0) {
+      mapping[f.key] = idx;
+      used.add(idx);
+    }
+  });
+  return mapping;
+}
+
+/** What a mapping still lacks before rows can become entries (messages; empty = ok). */
+export function mappingProblems(mapping) {
+  const has = (k) => mapping[k] !== undefined && mapping[k] !== null;
+  const problems = [];
+  if (!has("name")) problems.push("Map a column to the food name.");
+  if (!has("day") && !has("timestamp")) problems.push("Map a column to the day or timestamp.");
+  const anyMacro = MACRO_KEYS.some((k) => has(k) || has(`total${k[0].toUpperCase()}${k.slice(1)}`));
+  if (!anyMacro) problems.push("Map at least one calories or macro column.");
+  return problems;
+}
+
+/** "1,5" (decimal comma), "1,234.5" (thousands), "12 g" -> numbers; "" -> null. */
+export function parseNumber(value) {
+  let t = String(value ?? "").trim();
+  if (!t) return null;
+  t = t.replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(t)) return null;
+  if (t.includes(",") && t.includes(".")) t = t.replace(/,/g, "");
+  else if (/^-?\d+,\d{1,2}$/.test(t)) t = t.replace(",", ".");
+  else t = t.replace(/,/g, "");
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// A dayKey for y/m/d, or null unless it's a real calendar date (no 2024-25-12).
+function validDayKey(y, m, d) {
+  const year = Number(y.length === 2 ? `20${y}` : y);
+  const month = Number(m);
+  const day = Number(d);
+  if (month < 1 || month > 12 || day < 1) return null;
+  const daysInMonth = new Date(year, month, 0).getDate();
+  if (day > daysInMonth) return null;
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+const SLASH_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/;
+
+/**
+ * "2024-03-05", "2024/3/5", "3/5/2024", "5.3.2024" -> dayKey, or null when it
+ * isn't a real date. Slash dates are month first unless order is "dmy";
+ * dotted dates are always day first.
+ */
+export function parseDay(value, order = "mdy") {
+  const t = String(value ?? "").trim();
+  let m = t.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return validDayKey(m[1], m[2], m[3]);
+  m = t.match(SLASH_DATE);
+  if (m) return order === "dmy" ? validDayKey(m[3], m[2], m[1]) : validDayKey(m[3], m[1], m[2]);
+  m = t.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
+  if (m) return validDayKey(m[3], m[2], m[1]);
+  return null;
+}
+
+/**
+ * Which order a column of slash dates is in: "mdy" or "dmy" when some value
+ * only makes sense one way (25/12 vs 12/25), null when every value reads
+ * both ways (03/04) or there are no slash dates to go on.
+ */
+export function detectDateOrder(values) {
+  let mdy = false;
+  let dmy = false;
+  values.forEach((v) => {
+    const m = String(v ?? "").trim().match(SLASH_DATE);
+    if (!m) return;
+    if (Number(m[1]) > 12) dmy = true;
+    if (Number(m[2]) > 12) mdy = true;
+  });
+  if (mdy === dmy) return null;
+  return mdy ? "mdy" : "dmy";
+}
+
+/** True when a column holds slash dates whose order can't be told from the values. */
+export function hasAmbiguousDates(values) {
+  const slash = values.filter((v) => SLASH_DATE.test(String(v ?? "").trim()));
+  return slash.length > 0 && detectDateOrder(slash) === null;
+}
+
+/** "13:05", "1:05 PM", "1:05:30 pm" -> [hours, minutes] or null. */
+export function parseTime(value) {
+  const m = String(value ?? "").match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?/i);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const ampm = m[3]?.[0]?.toLowerCase();
+  if (ampm === "p" && h < 12) h += 12;
+  if (ampm === "a" && h === 12) h = 0;
+  return h < 24 ? [h, Number(m[2])] : null;
+}
+
+/**
+ * When an entry happened. A timestamp with a zone (our export) is taken as is;
+ * anything else is local time on the given day, noon if no time is known.
+ * dateOrder: how to read slash dates, see parseDay.
+ */
+export function entryMoment(timestamp, day, time, dateOrder = "mdy") {
+  const ts = String(timestamp ?? "").trim();
+  if (/T.*(Z|[+-]\d{2}:?\d{2})$/.test(ts)) {
+    const d = new Date(ts);
+    if (!Number.isNaN(d.getTime())) return d;
+  }
+  const dayKey = parseDay(day, dateOrder) || parseDay(ts, dateOrder);
+  if (!dayKey) return null;
+  const d = dayKeyToDate(dayKey);
+  const [h, min] = parseTime(time) || parseTime(ts.slice(10)) || [12, 0];
+  d.setHours(h, min, 0, 0);
+  return d;
+}
+
+/**
+ * Data rows -> [{ row, entry } | { row, error }] using `mapping`, where `row`
+ * is the 1-based data row (header not counted).
+ * mealTags: known tags; a row's meal matches them case-insensitively, else defaultMeal.
+ * dateOrder: "mdy" or "dmy" for slash dates like 03/04/2024 (see detectDateOrder).
+ * A mapped day column wins over the timestamp's local date, so entries keep
+ * the day they were logged on even if exported from another time zone.
+ */
+export function entriesFromCsv(
+  dataRows,
+  mapping,
+  { mealTags, defaultMeal = "Snack", source = "CSV import", dateOrder = "mdy" }
+) {
+  const cell = (row, key) => (mapping[key] === undefined || mapping[key] === null ? "" : row[mapping[key]] ?? "");
+
+  return dataRows.map((cells, i) => {
+    const row = i + 1;
+    const name = String(cell(cells, "name")).trim();
+    if (!name) return { row, error: "No food name." };
+
+    const day = parseDay(cell(cells, "day"), dateOrder);
+    const when = entryMoment(cell(cells, "timestamp"), cell(cells, "day"), cell(cells, "time"), dateOrder);
+    if (!when) return { row, error: "Unreadable date." };
+
+    const qtyRaw = parseNumber(cell(cells, "qty"));
+    const qty = qtyRaw && qtyRaw > 0 ? qtyRaw : 1;
+    // Per-serving values win; totals are divided back down by qty.
+    const macros = {};
+    MACRO_KEYS.forEach((k) => {
+      const per = parseNumber(cell(cells, k));
+      const total = parseNumber(cell(cells, `total${k[0].toUpperCase()}${k.slice(1)}`));
+      macros[k] = per !== null ? per : total !== null ? total / qty : 0;
+    });
+
+    const rawMeal = String(cell(cells, "mealTag")).trim().toLowerCase();
+    const mealTag = mealTags.find((t) => t.toLowerCase() === rawMeal) || defaultMeal;
+
+    return {
+      row,
+      entry: {
+        id: `csv:${Math.random().toString(36).slice(2)}`,
+        ...dayStamp(when),
+        ...(day ? { dayKey: day } : {}),
+        name,
+        source: String(cell(cells, "source")).trim() || source,
+        servingSizeLabel: String(cell(cells, "serving")).trim() || "serving",
+        qty,
+        macros: makeMacro(macros),
+        mealTag,
+      },
+    };
+  });
+}
+
+/** Content fingerprint: what makes two entries "the same food logged the same day". */
+export function entryFingerprint(e) {
+  return [
+    entryDayKey(e),
+    (e.name || "").trim().toLowerCase(),
+    round1(safeNum(e.qty)),
+    ...MACRO_KEYS.map((k) => round1(safeNum(e.macros?.[k]))),
+  ].join("|");
+}
+
+/**
+ * Mark each incoming entry as a duplicate of an existing one or not. Counts
+ * matter: two identical rows against one existing entry = one duplicate, one new.
+ * Returns a Set of the duplicate incoming entries' ids.
+ */
+export function findDuplicates(incoming, existing) {
+  const available = {};
+  existing.forEach((e) => {
+    const k = entryFingerprint(e);
+    available[k] = (available[k] || 0) + 1;
+  });
+  const dupes = new Set();
+  incoming.forEach((e) => {
+    const k = entryFingerprint(e);
+    if (available[k] > 0) {
+      available[k] -= 1;
+      dupes.add(e.id);
+    }
+  });
+  return dupes;
+}
@@ -0,0 +1,141 @@
+/**
+ * Protein floor rules and the body weight log.
+ * - floorRule.mode "fixed": the proteinFloor setting (or that weekday's grams)
+ * - floorRule.mode "perKg": gPerKg (or that weekday's g/kg) × body weight
+ * - floorRule.overrides: { [dayKey]: grams } one-off dates, always win
+ * - dayFloors: { [dayKey]: { floor, mode, note } } what applied on past days,
+ *   so later rule changes don't rewrite history
+ * floorForDay says which floor applied on a day and why, for the report audit.
+ */
+
+import { dayKeyToDate, shiftDayKey, todayKey } from "./dates.js";
+import { round1 } from "./macros.js";
+
+export const KG_PER_LB = 0.45359237;
+
+export const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const NO_SCHEDULE = WEEKDAY_LABELS.map(() => null);
+
+export const DEFAULT_FLOOR_RULE = {
+  mode: "fixed",
+  gPerKg: 1.6,
+  basis: "latest",
+  weightUnit: "kg",
+  // Per-weekday values (Mon first); null = use the everyday value
+  weekdayGrams: NO_SCHEDULE,
+  weekdayGPerKg: NO_SCHEDULE,
+  overrides: {},
+};
+
+// Days in the rolling-average weight basis
+export const WEIGHT_AVG_DAYS = 7;
+
+export function toKg(value, unit) {
+  const n = Number(value);
+  return unit === "lb" ? n * KG_PER_LB : n;
+}
+
+export function fromKg(kg, unit) {
+  return unit === "lb" ? kg / KG_PER_LB : kg;
+}
+
+export function formatWeight(kg, unit) {
+  return `${round1(fromKg(kg, unit))} ${unit}`;
+}
+
+/** Weights sorted oldest first, so "latest on or before" is a scan from the end. */
+export function sortWeights(weights) {
+  // Imported weigh-ins may lack either field; compare as strings rather than throw.
+  const key = (w, field) => String(w[field] ?? "");
+  return [...weights].sort(
+    (a, b) =>
+      key(a, "dayKey").localeCompare(key(b, "dayKey")) ||
+      key(a, "createdAt").localeCompare(key(b, "createdAt"))
+  );
+}
+
+/**
+ * Body weight (kg) in effect on dayKey: { kg, note } or null when nothing is
+ * logged on or before that day. `weights` must be sorted (sortWeights).
+ */
+export function weightForDay(dayKey, weights, basis = "latest") {
+  const upTo = weights.filter((w) => w.dayKey <= dayKey);
+  if (upTo.length === 0) return null;
+  const latest = upTo[upTo.length - 1];
+
+  if (basis === "average") {
+    const from = shiftDayKey(dayKey, -(WEIGHT_AVG_DAYS - 1));
+    const recent = upTo.filter((w) => w.dayKey >= from);
+    if (recent.length > 1) {
+      const kg = recent.reduce((sum, w) => sum + w.kg, 0) / recent.length;
+      return { kg, note: `${WEIGHT_AVG_DAYS}-day avg of ${recent.length} weigh-ins` };
+    }
+  }
+  return { kg: latest.kg, note: `weigh-in ${latest.dayKey}` };
+}
+
+function weekdayIndex(dayKey) {
+  return (dayKeyToDate(dayKey).getDay() + 6) % 7; // 0=Mon
+}
+
+/** The floor the current rules give for dayKey: { floor, mode, note }. */
+export function ruleFloorForDay(dayKey, { proteinFloor, floorRule, weights }) {
+  const rule = { ...DEFAULT_FLOOR_RULE, ...floorRule };
+  const wd = weekdayIndex(dayKey);
+  const scheduled = (list) => (list?.[wd] ?? null) !== null;
+  const label = `${WEEKDAY_LABELS[wd]} schedule`;
+
+  const grams = scheduled(rule.weekdayGrams) ? rule.weekdayGrams[wd] : Number(proteinFloor) || 0;
+  const fixedNote = scheduled(rule.weekdayGrams) ? label : "fixed floor";
+  if (rule.mode !== "perKg") return { floor: grams, mode: "fixed", note: fixedNote };
+
+  const w = weightForDay(dayKey, weights, rule.basis);
+  if (!w) return { floor: grams, mode: "fixed", note: `${fixedNote} (no weight logged yet)` };
+  const gPerKg = scheduled(rule.weekdayGPerKg) ? rule.weekdayGPerKg[wd] : rule.gPerKg;
+  const prefix = scheduled(rule.weekdayGPerKg) ? `${label}: ` : "";
+  return {
+    floor: Math.round(gPerKg * w.kg),
+    mode: "perKg",
+    note: `${prefix}${gPerKg} g/kg × ${formatWeight(w.kg, rule.weightUnit)} (${w.note})`,
+  };
+}
+
+function sameFloor(a, b) {
+  return Boolean(a) && a.floor === b.floor && a.mode === b.mode && a.note === b.note;
+}
+
+/**
+ * dayFloors with today's floor taken from the current rules, plus a first
+ * snapshot for every past day in `days` that doesn't have one yet. Saved past
+ * days are never touched, so a later rule change can't rewrite them.
+ * Returns dayFloors itself when nothing changed.
+ */
+export function snapshotDayFloors(dayFloors, { today, days, ...ctx }) {
+  let next = dayFloors;
+  const take = (dayKey, value) => {
+    if (next === dayFloors) next = { ...dayFloors };
+    next[dayKey] = value;
+  };
+  const current = ruleFloorForDay(today, ctx);
+  if (!sameFloor(dayFloors[today], current)) take(today, current);
+  days.forEach((dayKey) => {
+    if (dayKey && dayKey < today && !dayFloors[dayKey]) take(dayKey, ruleFloorForDay(dayKey, ctx));
+  });
+  return next;
+}
+
+/**
+ * The floor that applied on dayKey: { floor, mode, note }.
+ * Date override, then the floor saved for a past day, then the current rules.
+ * Per-kg mode falls back to grams until a weight is logged.
+ */
+export function floorForDay(dayKey, ctx) {
+  const override = ctx.floorRule?.overrides?.[dayKey];
+  if (override !== undefined && override !== null) {
+    return { floor: override, mode: "override", note: "date override" };
+  }
+  const saved = ctx.dayFloors?.[dayKey];
+  if (saved && dayKey < todayKey()) return saved;
+  return ruleFloorForDay(dayKey, ctx);
+}
@@ -0,0 +1,56 @@
+/**
+ * Shared pieces for the other-app importers: header lookup, meal names and
+ * building an entry in our shape from one row's totals.
+ */
+
+import { dayStamp } from "../dates.js";
+import { entryMoment, parseNumber } from "../entryCsv.js";
+import { makeMacro } from "../macros.js";
+
+/** Index of the first header equal (any case) to one of `names`, or -1. */
+export function columnIndex(headers, ...names) {
+  const wanted = names.map((n) => n.toLowerCase());
+  return headers.findIndex((h) => wanted.includes(String(h).trim().toLowerCase()));
+}
+
+export function hasColumns(headers, ...names) {
+  return names.every((n) => columnIndex(headers, n) >= 0);
+}
+
+/** Cell reader for a header row: cell(row, "Protein (g)") -> string ("" if absent). */
+export function cellReader(headers) {
+  return (row, ...names) => {
+    const idx = columnIndex(headers, ...names);
+    return idx >= 0 ? String(row[idx] ?? "").trim() : "";
+  };
+}
+
+export function numberOr0(value) {
+  return parseNumber(value) ?? 0;
+}
+
+/** "Snacks", "lunch" -> one of mealTags; anything else ("Uncategorized", "Meal 4") -> defaultMeal. */
+export function toMealTag(value, mealTags, defaultMeal) {
+  const v = String(value || "").trim().toLowerCase().replace(/s$/, "");
+  return mealTags.find((t) => t.toLowerCase() === v) || defaultMeal;
+}
+
+/**
+ * One entry from a row's totals. The other apps export what was eaten, not
+ * per-serving values, so qty is 1 and the amount goes in the serving label.
+ * Null when the day can't be read.
+ */
+export function importedEntry({ source, day, time, name, servingSizeLabel, totals, mealTag }) {
+  const when = entryMoment("", day, time);
+  if (!when) return null;
+  return {
+    id: `${source}:${Math.random().toString(36).slice(2)}`,
+    ...dayStamp(when),
+    name,
+    source,
+    servingSizeLabel: servingSizeLabel || "serving",
+    qty: 1,
+    macros: makeMacro(totals),
+    mealTag,
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Cronometer "Food & Recipe Entries" export, servings.csv
+ * (fixtures/cronometer-servings.csv). One row per food with totals for the
+ * amount eaten; the Group column is the diary group (Breakfast, Snacks, ...).
+ */
+
+import { cellReader, hasColumns, importedEntry, numberOr0, toMealTag } from "./common.js";
+
+const SOURCE = "Cronometer";
+
+export const cronometerImporter = {
+  id: "cronometer",
+  label: "Cronometer",
+  matches: (headers) => hasColumns(headers, "Day", "Food Name", "Amount", "Energy (kcal)", "Protein (g)"),
+
+  toEntries(headers, rows, { mealTags, defaultMeal }) {
+    const cell = cellReader(headers);
+    const entries = [];
+    const skipped = [];
+    rows.forEach((row, i) => {
+      const name = cell(row, "Food Name");
+      if (!name) {
+        skipped.push({ row: i + 1, reason: "No food name." });
+        return;
+      }
+      const entry = importedEntry({
+        source: SOURCE,
+        day: cell(row, "Day"),
+        time: cell(row, "Time"),
+        name,
+        servingSizeLabel: cell(row, "Amount"),
+        totals: {
+          calories: numberOr0(cell(row, "Energy (kcal)")),
+          protein: numberOr0(cell(row, "Protein (g)")),
+          carbs: numberOr0(cell(row, "Carbs (g)")),
+          fat: numberOr0(cell(row, "Fat (g)")),
+        },
+        mealTag: toMealTag(cell(row, "Group"), mealTags, defaultMeal),
+      });
+      if (entry) entries.push(entry);
+      else skipped.push({ row: i + 1, reason: "Unreadable date." });
+    });
+    return { entries, skipped };
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * History importers for other nutrition apps' CSV exports.
+ * An importer is { id, label, matches(headers), toEntries(headers, rows, ctx) }
+ * where toEntries returns { entries, skipped: [{ row, reason }] } and ctx is
+ * { mealTags, defaultMeal }. Sample exports live in ./fixtures.
+ */
+
+import { parseCsv } from "../csv.js";
+import { entryDayKey } from "../dates.js";
+import { round1, safeNum } from "../macros.js";
+import { cronometerImporter } from "./cronometer.js";
+import { loseItImporter } from "./loseIt.js";
+import { myFitnessPalImporter } from "./myFitnessPal.js";
+
+export const HISTORY_IMPORTERS = [myFitnessPalImporter, cronometerImporter, loseItImporter];
+
+export function detectImporter(headers) {
+  return HISTORY_IMPORTERS.find((imp) => imp.matches(headers)) || null;
+}
+
+/** CSV text -> { importer, entries, skipped }. Throws if no importer recognizes the file. */
+export function importHistoryCsv(text, ctx) {
+  const rows = parseCsv(text);
+  const importer = rows.length ? detectImporter(rows[0]) : null;
+  if (!importer) {
+    const names = HISTORY_IMPORTERS.map((imp) => imp.label).join(", ");
+    throw new Error(`Not a recognized export (supported: ${names}).`);
+  }
+  return { importer, ...importer.toEntries(rows[0], rows.slice(1), ctx) };
+}
+
+/** { days, entries, protein, avgProtein, firstDay, lastDay } for a summary before importing. */
+export function summarizeHistory(entries) {
+  const days = [...new Set(entries.map(entryDayKey))].sort();
+  const protein = entries.reduce((sum, e) => sum + safeNum(e.macros?.protein) * safeNum(e.qty), 0);
+  return {
+    days: days.length,
+    entries: entries.length,
+    protein: round1(protein),
+    avgProtein: days.length ? round1(protein / days.length) : 0,
+    firstDay: days[0] || null,
+    lastDay: days[days.length - 1] || null,
+  };
+}
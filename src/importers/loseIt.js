@@ -0,0 +1,47 @@
+/**
+ * Lose It! food log export (fixtures/loseit-daily-food-log.csv). Dates are
+ * US order (MM/DD/YYYY); exercise rows and rows marked Deleted are skipped.
+ */
+
+import { cellReader, hasColumns, importedEntry, numberOr0, toMealTag } from "./common.js";
+
+const SOURCE = "Lose It!";
+
+export const loseItImporter = {
+  id: "loseit",
+  label: "Lose It!",
+  matches: (headers) => hasColumns(headers, "Date", "Name", "Type", "Quantity", "Units", "Calories", "Deleted"),
+
+  toEntries(headers, rows, { mealTags, defaultMeal }) {
+    const cell = cellReader(headers);
+    const entries = [];
+    const skipped = [];
+    rows.forEach((row, i) => {
+      const type = cell(row, "Type");
+      if (cell(row, "Deleted").toLowerCase() === "true") {
+        skipped.push({ row: i + 1, reason: "Marked deleted." });
+        return;
+      }
+      if (type.toLowerCase() === "exercise") {
+        skipped.push({ row: i + 1, reason: "Exercise, not food." });
+        return;
+      }
+      const entry = importedEntry({
+        source: SOURCE,
+        day: cell(row, "Date"),
+        name: cell(row, "Name") || "Lose It! food",
+        servingSizeLabel: [cell(row, "Quantity"), cell(row, "Units")].filter(Boolean).join(" "),
+        totals: {
+          calories: numberOr0(cell(row, "Calories")),
+          protein: numberOr0(cell(row, "Protein (g)")),
+          carbs: numberOr0(cell(row, "Carbohydrates (g)")),
+          fat: numberOr0(cell(row, "Fat (g)")),
+        },
+        mealTag: toMealTag(type, mealTags, defaultMeal),
+      });
+      if (entry) entries.push(entry);
+      else skipped.push({ row: i + 1, reason: "Unreadable date." });
+    });
+    return { entries, skipped };
+  },
+};
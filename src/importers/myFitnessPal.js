@@ -0,0 +1,40 @@
+/**
+ * MyFitnessPal "Nutrition Summary" export (fixtures/myfitnesspal-nutrition-summary.csv).
+ * MFP only exports totals per day and meal, not foods, so each row becomes
+ * one entry like "MyFitnessPal Lunch".
+ */
+
+import { cellReader, hasColumns, importedEntry, numberOr0, toMealTag } from "./common.js";
+
+const SOURCE = "MyFitnessPal";
+
+export const myFitnessPalImporter = {
+  id: "myfitnesspal",
+  label: "MyFitnessPal",
+  matches: (headers) => hasColumns(headers, "Date", "Meal", "Calories", "Protein (g)", "Carbohydrates (g)", "Fat (g)"),
+
+  toEntries(headers, rows, { mealTags, defaultMeal }) {
+    const cell = cellReader(headers);
+    const entries = [];
+    const skipped = [];
+    rows.forEach((row, i) => {
+      const meal = cell(row, "Meal");
+      const entry = importedEntry({
+        source: SOURCE,
+        day: cell(row, "Date"),
+        name: `${SOURCE} ${meal || "day"}`,
+        servingSizeLabel: cell(row, "Note") || "meal total",
+        totals: {
+          calories: numberOr0(cell(row, "Calories")),
+          protein: numberOr0(cell(row, "Protein (g)")),
+          carbs: numberOr0(cell(row, "Carbohydrates (g)")),
+          fat: numberOr0(cell(row, "Fat (g)")),
+        },
+        mealTag: toMealTag(meal, mealTags, defaultMeal),
+      });
+      if (entry) entries.push(entry);
+      else skipped.push({ row: i + 1, reason: "Unreadable date." });
+    });
+    return { entries, skipped };
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Nutrition label OCR, entirely in the browser. Tesseract's worker, WASM core
+ * and English model are bundled as app assets (no CDN), and only loaded the
+ * first time someone photographs a label.
+ */
+
+import engDataUrl from "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url";
+import coreUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import coreSimdUrl from "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import workerUrl from "tesseract.js/dist/worker.min.js?url";
+import { parseNutritionLabel } from "./parse.js";
+
+// Labels are mostly a single column of short lines.
+const PSM_SINGLE_COLUMN = "4";
+
+// Tesseract wants the folder holding eng.traineddata.gz (vite.config.js keeps the name).
+function langDir() {
+  return new URL(".", new URL(engDataUrl, window.location.href)).href;
+}
+
+/**
+ * OCR a photo (File/Blob) of a Nutrition Facts panel.
+ * onProgress(fraction, status) reports engine load + recognition progress.
+ * Resolves to { text, ...parseNutritionLabel(text) }.
+ */
+export async function readNutritionLabel(file, onProgress) {
+  const [{ createWorker }, { simd }] = await Promise.all([
+    import("tesseract.js"),
+    import("wasm-feature-detect"),
+  ]);
+  const worker = await createWorker("eng", 1, {
+    workerPath: workerUrl,
+    corePath: (await simd()) ? coreSimdUrl : coreUrl,
+    langPath: langDir(),
+    workerBlobURL: false,
+    logger: (m) => onProgress?.(m.progress, m.status),
+  });
+  try {
+    await worker.setParameters({ tessedit_pageseg_mode: PSM_SINGLE_COLUMN });
+    const { data: result } = await worker.recognize(file);
+    return { text: result.text, ...parseNutritionLabel(result.text) };
+  } finally {
+    await worker.terminate();
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Parse OCR text from a Nutrition Facts panel into custom food fields.
+ * OCR is noisy, so this is forgiving (O/0, l/1 mix-ups, stray punctuation)
+ * and only fills what it's reasonably sure of; the user reviews the rest.
+ */
+
+// Digits OCR commonly reads as letters, fixed only inside number tokens.
+const DIGIT_LOOKALIKES = { O: "0", o: "0", D: "0", l: "1", I: "1", "|": "1", S: "5", B: "8" };
+
+// A quantity: digits (maybe with lookalikes) and an optional g/mg unit, not a % daily value.
+const QUANTITY = String.raw`([0-9OoDlI|SB][0-9OoDlI|SB]*(?:[.,][0-9OoDlI|SB]+)?)\s*(mg|g)?(?!\s*%|[0-9OoDlI|SB])`;
+
+function toNumber(token) {
+  const fixed = token.replace(/[OoDlI|SB]/g, (c) => DIGIT_LOOKALIKES[c]).replace(",", ".");
+  const n = Number(fixed);
+  return Number.isFinite(n) ? n : null;
+}
+
+// A token of lookalikes only ("Og") counts only with a unit; "o" alone is just a letter.
+function plausible(token, unit) {
+  return /\d/.test(token) || Boolean(unit);
+}
+
+function grams(token, unit) {
+  if (!plausible(token, unit)) return null;
+  const n = toNumber(token);
+  if (n === null) return null;
+  return unit === "mg" ? n / 1000 : n;
+}
+
+/** First quantity after `label` on the same line, in grams. */
+function findGrams(lines, label) {
+  const re = new RegExp(`${label}[^0-9OoDlI|SB]*?${QUANTITY}`, "i");
+  for (const line of lines) {
+    const m = line.match(re);
+    if (m) {
+      const g = grams(m[1], m[2]);
+      if (g !== null) return g;
+    }
+  }
+  return null;
+}
+
+function findCalories(lines) {
+  for (const line of lines) {
+    const text = line.replace(/calories\s+from\s+fat.*$/i, "");
+    const m = text.match(new RegExp(`calories[^0-9OoDlI|SB]*${QUANTITY}`, "i"));
+    if (m && plausible(m[1], null)) return toNumber(m[1]);
+  }
+  // EU-style: "Energy 1046 kJ / 250 kcal"
+  for (const line of lines) {
+    const m = line.match(/(\d+(?:[.,]\d+)?)\s*kcal/i);
+    if (m) return toNumber(m[1]);
+  }
+  return null;
+}
+
+function findServingSize(lines) {
+  for (const line of lines) {
+    const m = line.match(/serving\s*size\s*:?\s*(.+)$/i);
+    if (m) {
+      const text = m[1].replace(/[|_~]+/g, " ").replace(/\s+/g, " ").trim();
+      if (/\d/.test(text)) return text;
+    }
+  }
+  // Per-100g only labels
+  if (lines.some((l) => /per\s*100\s*g/i.test(l))) return "100g";
+  return "";
+}
+
+/**
+ * Returns { servingSize, calories, protein, carbs, fat, found } where missing
+ * values are "" / null and `found` lists the fields that were read.
+ */
+export function parseNutritionLabel(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  const parsed = {
+    servingSize: findServingSize(lines),
+    calories: findCalories(lines),
+    protein: findGrams(lines, String.raw`protein`),
+    carbs: findGrams(lines, String.raw`(?:total\s*)?carb(?:ohydrate)?s?\.?`),
+    fat: findGrams(lines, String.raw`(?:total\s*fat|^fat)`),
+  };
+  const found = Object.keys(parsed).filter((k) => parsed[k] !== null && parsed[k] !== "");
+  return { ...parsed, found };
+}
@@ -0,0 +1,36 @@
+/**
+ * Macro math shared by the app and the food-data providers.
+ * A macro object is { calories, protein, carbs, fat } (kcal / grams).
+ */
+
+export function round1(x) {
+  return Math.round((x + Number.EPSILON) * 10) / 10;
+}
+export function safeNum(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : 0;
+}
+export function makeMacro({ calories = 0, protein = 0, carbs = 0, fat = 0 }) {
+  return {
+    calories: safeNum(calories),
+    protein: safeNum(protein),
+    carbs: safeNum(carbs),
+    fat: safeNum(fat),
+  };
+}
+export function scaleMacro(m, factor) {
+  return makeMacro({
+    calories: safeNum(m?.calories) * factor,
+    protein: safeNum(m?.protein) * factor,
+    carbs: safeNum(m?.carbs) * factor,
+    fat: safeNum(m?.fat) * factor,
+  });
+}
+export function roundMacro(m) {
+  return makeMacro({
+    calories: round1(safeNum(m.calories)),
+    protein: round1(safeNum(m.protein)),
+    carbs: round1(safeNum(m.carbs)),
+    fat: round1(safeNum(m.fat)),
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Offline-first wrapper around the provider registry.
+ * - Barcodes: a fresh cache hit answers without touching the network
+ * - Searches: network first, cached matches fill in; cache only when offline
+ * - Anything a provider returns is cached (fixtures excepted)
+ */
+
+import {
+  cacheFoods,
+  findCachedByBarcode,
+  listCachedFoods,
+  touchCachedFood,
+} from "../storage.js";
+import { barcodeVariants } from "../barcode/gtin.js";
+import { fetchFoodDetails, lookupBarcode, searchFoods } from "./index.js";
+
+// Barcode hits younger than this skip the network entirely.
+const FOOD_CACHE_FRESH_MS = 30 * 24 * 60 * 60 * 1000;
+// Extra cached matches shown after live search results.
+const CACHED_EXTRAS = 5;
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function fromCache(rec) {
+  return { ...rec.food, fromCache: true, cachedAt: rec.cachedAt };
+}
+
+// The cache is an optimisation: never let a storage hiccup break a lookup.
+async function safely(promise, fallback) {
+  try {
+    return await promise;
+  } catch {
+    return fallback;
+  }
+}
+
+function cacheable(foods) {
+  return foods.filter((f) => f && f.providerId !== "fixtures");
+}
+
+async function findCached(code) {
+  for (const key of barcodeVariants(code)) {
+    const hit = await safely(findCachedByBarcode(key), null);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+export async function cachedLookupBarcode(code, enabled, ctx) {
+  const hit = await findCached(code);
+  if (hit && (isOffline() || Date.now() - hit.cachedAt < FOOD_CACHE_FRESH_MS)) {
+    await safely(touchCachedFood(hit.id));
+    return { item: fromCache(hit), errors: [] };
+  }
+  if (isOffline()) {
+    return { item: null, errors: [{ provider: "Offline", message: "no connection and not cached" }] };
+  }
+
+  const res = await lookupBarcode(code, enabled, ctx);
+  if (res.item) {
+    await safely(cacheFoods(cacheable([res.item])));
+    return res;
+  }
+  // Network failed: an old cached answer beats none.
+  if (hit && res.errors.length) return { item: fromCache(hit), errors: res.errors };
+  return res;
+}
+
+function matchesQuery(rec, words) {
+  const name = (rec.name || "").toLowerCase();
+  return words.every((w) => name.includes(w));
+}
+
+export async function cachedSearchFoods(query, enabled, ctx) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const cached = (await safely(listCachedFoods(), [])).filter((r) => matchesQuery(r, words));
+
+  if (isOffline()) {
+    return {
+      results: cached.map(fromCache),
+      errors: [{ provider: "Offline", message: "showing cached foods only" }],
+    };
+  }
+
+  const res = await searchFoods(query, enabled, ctx);
+  await safely(cacheFoods(cacheable(res.results)));
+
+  const seen = new Set(res.results.map((f) => f.id));
+  const extras = cached.filter((r) => !seen.has(r.id));
+  const limit = res.results.length === 0 ? extras.length : CACHED_EXTRAS;
+  return { results: [...res.results, ...extras.slice(0, limit).map(fromCache)], errors: res.errors };
+}
+
+/** Re-fetch a cached food from its provider. Resolves to the fresh food or null. */
+export async function refreshCachedFood(rec, enabled, ctx) {
+  let fresh = null;
+  if (rec.barcode) {
+    const res = await lookupBarcode(rec.barcode, enabled, ctx);
+    if (!res.item && res.errors.length) throw new Error(res.errors[0].message);
+    fresh = res.item;
+  } else {
+    fresh = await fetchFoodDetails(rec.food, ctx);
+    if (fresh === rec.food) {
+      const res = await searchFoods(rec.name, enabled, ctx);
+      fresh = res.results.find((f) => f.id === rec.id) || null;
+    }
+  }
+  if (fresh) await cacheFoods(cacheable([fresh]));
+  return fresh;
+}
@@ -0,0 +1,36 @@
+/**
+ * Offline fixture provider: a small bundled food list, so the Add Food tab
+ * works (and can be developed) with no network. Off by default outside dev.
+ */
+
+import { barcodeVariants } from "../barcode/gtin.js";
+import { makeMacro } from "../macros.js";
+import FIXTURE_FOODS from "./fixtures.json";
+
+const FIXTURE_SOURCE = "Fixtures (offline)";
+
+function toFood(f) {
+  return { ...f, source: FIXTURE_SOURCE, macrosPerServing: makeMacro(f.macrosPerServing) };
+}
+
+async function fixtureSearch(query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return FIXTURE_FOODS.filter((f) => {
+    const name = f.name.toLowerCase();
+    return words.every((w) => name.includes(w));
+  }).map(toFood);
+}
+
+async function fixtureLookupBarcode(code) {
+  const keys = barcodeVariants(code);
+  const hit = FIXTURE_FOODS.find((f) => keys.includes(f.barcode));
+  return hit ? toFood(hit) : null;
+}
+
+export const fixtureProvider = {
+  id: "fixtures",
+  label: FIXTURE_SOURCE,
+  defaultEnabled: import.meta.env.DEV,
+  search: (query) => fixtureSearch(query),
+  lookupBarcode: (code) => fixtureLookupBarcode(code),
+};
@@ -0,0 +1,72 @@
+/**
+ * Food-data provider registry.
+ * A provider is { id, label, defaultEnabled, isAvailable?(ctx), search(query, ctx),
+ * lookupBarcode(code, ctx), getDetails?(food, ctx) }. ctx carries settings
+ * such as usdaApiKey. One provider failing never sinks the others.
+ */
+
+import { fixtureProvider } from "./fixtures.js";
+import { openFoodFactsProvider } from "./openFoodFacts.js";
+import { usdaProvider } from "./usda.js";
+
+export { describeNutrientBasis, withNutrientBasis } from "./openFoodFacts.js";
+
+export const FOOD_PROVIDERS = [openFoodFactsProvider, usdaProvider, fixtureProvider];
+
+/** enabled: { [providerId]: boolean } from settings; missing ids use defaultEnabled. */
+export function activeProviders(enabled, ctx) {
+  return FOOD_PROVIDERS.filter(
+    (p) => (enabled?.[p.id] ?? p.defaultEnabled) && (!p.isAvailable || p.isAvailable(ctx))
+  );
+}
+
+function tag(provider, food) {
+  return { ...food, providerId: provider.id };
+}
+
+/** Search every active provider. Resolves to { results, errors: [{ provider, message }] }. */
+export async function searchFoods(query, enabled, ctx) {
+  const providers = activeProviders(enabled, ctx);
+  const settled = await Promise.allSettled(providers.map((p) => p.search(query, ctx)));
+
+  const results = [];
+  const errors = [];
+  settled.forEach((s, i) => {
+    const provider = providers[i];
+    if (s.status === "fulfilled") {
+      (s.value || []).forEach((food) => results.push(tag(provider, food)));
+    } else {
+      errors.push({ provider: provider.label, message: s.reason?.message || "failed" });
+    }
+  });
+  return { results, errors };
+}
+
+/** First provider (in registry order) that knows the barcode wins. Resolves to { item, errors }. */
+export async function lookupBarcode(code, enabled, ctx) {
+  const providers = activeProviders(enabled, ctx);
+  const settled = await Promise.allSettled(providers.map((p) => p.lookupBarcode(code, ctx)));
+
+  let item = null;
+  const errors = [];
+  settled.forEach((s, i) => {
+    const provider = providers[i];
+    if (s.status === "rejected") {
+      errors.push({ provider: provider.label, message: s.reason?.message || "failed" });
+    } else if (!item && s.value) {
+      item = tag(provider, s.value);
+    }
+  });
+  return { item, errors };
+}
+
+/** Optional richer record for a result; returns the food unchanged if its provider has none. */
+export async function fetchFoodDetails(food, ctx) {
+  const provider = FOOD_PROVIDERS.find((p) => p.id === food.providerId);
+  if (!provider?.getDetails) return food;
+  return tag(provider, await provider.getDetails(food, ctx));
+}
+
+export function formatProviderErrors(errors) {
+  return errors.map((e) => `${e.provider}: ${e.message}`).join("; ");
+}
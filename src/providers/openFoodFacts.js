@@ -0,0 +1,157 @@
+/**
+ * Open Food Facts provider (packaged foods, barcodes). No key needed.
+ */
+
+import { makeMacro } from "../macros.js";
+import { parseServingLabel } from "../units.js";
+
+// OFF nutriments come as <key>_serving, <key>_100g and <key>_value (whose basis
+// is nutrition_data_per). Never mix bases: pick one for all four macros and
+// record where each number came from.
+const OFF_MACRO_KEYS = {
+  calories: "energy-kcal",
+  protein: "proteins",
+  carbs: "carbohydrates",
+  fat: "fat",
+};
+
+function offNum(x) {
+  const n = Number(x);
+  return x !== undefined && x !== null && x !== "" && Number.isFinite(n) ? n : null;
+}
+
+function normalizeOffProduct(p, fallbackCode) {
+  const nutr = p.nutriments || {};
+  const code = p.code || fallbackCode || p._id;
+  const servingText = p.serving_size || "";
+  const qtyUnit = (p.serving_quantity_unit || "g").toLowerCase();
+  const servingGrams =
+    ["g", "ml"].includes(qtyUnit) && offNum(p.serving_quantity) > 0 ? offNum(p.serving_quantity) : null;
+
+  const per100g = {};
+  const perServing = {};
+  const basis = {};
+  let perServingComplete = true;
+  let any100g = false;
+  let disagree = false;
+
+  Object.entries(OFF_MACRO_KEYS).forEach(([macro, key]) => {
+    let v100 = offNum(nutr[`${key}_100g`]);
+    let vServ = offNum(nutr[`${key}_serving`]);
+    const vRaw = offNum(nutr[`${key}_value`]);
+
+    if (v100 === null && vServ === null && vRaw !== null) {
+      if (p.nutrition_data_per === "100g") v100 = vRaw;
+      else if (p.nutrition_data_per === "serving") vServ = vRaw;
+      else {
+        // No idea which basis this is: keep it, but make the user confirm.
+        vServ = vRaw;
+        basis[macro] = "uncertain";
+      }
+    }
+    if (v100 !== null) any100g = true;
+
+    if (basis[macro] !== "uncertain") {
+      if (vServ !== null) {
+        basis[macro] = "serving";
+        // Sanity check the two figures against each other when we can.
+        if (v100 !== null && servingGrams) {
+          const expected = (v100 * servingGrams) / 100;
+          if (Math.abs(expected - vServ) > Math.max(2, expected * 0.2)) disagree = true;
+        }
+      } else if (v100 !== null && servingGrams) {
+        vServ = (v100 * servingGrams) / 100;
+        basis[macro] = "computed";
+      } else if (v100 !== null) {
+        basis[macro] = "100g";
+      } else {
+        basis[macro] = "missing";
+      }
+    }
+
+    per100g[macro] = v100 ?? 0;
+    perServing[macro] = vServ ?? 0;
+    if (vServ === null) perServingComplete = false;
+  });
+
+  const hasServingData =
+    perServingComplete || Object.values(basis).some((b) => b === "serving" || b === "uncertain");
+  const useServing = hasServingData && (perServingComplete || !any100g);
+  const base = {
+    id: `off:${code || Math.random().toString(36).slice(2)}`,
+    source: "Open Food Facts",
+    name: p.product_name || p.generic_name || "Unknown item",
+    barcode: code,
+    per100g: any100g ? makeMacro(per100g) : null,
+    perServing: hasServingData ? makeMacro(perServing) : null,
+    perServingLabel:
+      servingText || (servingGrams ? `${servingGrams}${qtyUnit}` : "1 serving"),
+    perServingSize: servingGrams ? { amount: servingGrams, unit: qtyUnit } : null,
+    nutrientBasis: basis,
+    basisUncertain:
+      disagree || Object.values(basis).includes("uncertain") || basis.protein === "missing",
+  };
+  return withNutrientBasis(base, useServing || !any100g ? "serving" : "100g");
+}
+
+/** Point macrosPerServing / serving at one of the exposed bases. */
+export function withNutrientBasis(food, which) {
+  if (which === "100g" && food.per100g) {
+    return {
+      ...food,
+      activeBasis: "100g",
+      servingSizeLabel: "100g",
+      serving: { amount: 100, unit: "g" },
+      macrosPerServing: food.per100g,
+    };
+  }
+  const size = food.perServingSize;
+  return {
+    ...food,
+    activeBasis: "serving",
+    servingSizeLabel: food.perServingLabel,
+    serving: size ? { ...size } : parseServingLabel(food.perServingLabel),
+    macrosPerServing: food.perServing || makeMacro({}),
+  };
+}
+
+export function describeNutrientBasis(food) {
+  if (!food?.nutrientBasis) return "";
+  const bases = new Set(Object.values(food.nutrientBasis));
+  if (food.activeBasis === "100g") return "per 100g";
+  if (bases.has("uncertain")) return "basis unknown";
+  if (bases.has("computed")) return "per serving (computed from per-100g)";
+  return "per serving";
+}
+
+async function offLookupByBarcode(barcode) {
+  const url = `https://world.openfoodfacts.org/api/v2/product/${encodeURIComponent(
+    barcode
+  )}.json`;
+  const r = await fetch(url);
+  if (!r.ok) throw new Error("Open Food Facts lookup failed");
+  const j = await r.json();
+  if (!j.product) return null;
+
+  return normalizeOffProduct(j.product, barcode);
+}
+
+async function offSearch(query) {
+  const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(
+    query
+  )}&search_simple=1&action=process&json=1&page_size=12`;
+  const r = await fetch(url);
+  if (!r.ok) throw new Error("Open Food Facts search failed");
+  const j = await r.json();
+  const products = j.products || [];
+
+  return products.slice(0, 12).map((p) => normalizeOffProduct(p));
+}
+
+export const openFoodFactsProvider = {
+  id: "off",
+  label: "Open Food Facts",
+  defaultEnabled: true,
+  search: (query) => offSearch(query),
+  lookupBarcode: (code) => offLookupByBarcode(code),
+};
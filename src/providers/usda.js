@@ -0,0 +1,119 @@
+/**
+ * USDA FoodData Central provider (generic foods). Needs an API key from Settings.
+ * Search results are per 100g; the detail fetch adds household portions
+ * (density for cups/tbsp) and label servings for branded foods.
+ */
+
+import { makeMacro, scaleMacro } from "../macros.js";
+import { UNITS } from "../units.js";
+
+const USDA_BASE = "https://api.nal.usda.gov/fdc/v1";
+
+function macrosFromNutrients(nutrients) {
+  const find = (needle) => {
+    const n = nutrients.find((x) => {
+      const name = (x.nutrientName || x.nutrient?.name || "").toLowerCase();
+      const unit = (x.unitName || x.nutrient?.unitName || "").toLowerCase();
+      // Energy is reported in both kcal and kJ; only kcal is wanted.
+      return name.includes(needle) && unit !== "kj";
+    });
+    return n ? (n.value ?? n.amount ?? 0) : 0;
+  };
+
+  return makeMacro({
+    calories: find("energy") || find("calories"),
+    protein: find("protein"),
+    carbs: find("carbohydrate"),
+    fat: find("total lipid") || find("fat"),
+  });
+}
+
+async function usdaSearch(query, apiKey) {
+  if (!apiKey) return [];
+  const url = `${USDA_BASE}/foods/search?api_key=${encodeURIComponent(apiKey)}`;
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, pageSize: 10 }),
+  });
+  if (!r.ok) throw new Error("USDA search failed");
+  const j = await r.json();
+  const foods = j.foods || [];
+
+  return foods.slice(0, 10).map((f) => {
+    const macros = macrosFromNutrients(f.foodNutrients || []);
+    return {
+      id: `usda:${f.fdcId}`,
+      source: "USDA FDC",
+      name: f.description || "USDA item",
+      fdcId: f.fdcId,
+      servingSizeLabel: "100g (USDA default)",
+      serving: { amount: 100, unit: "g" },
+      macrosPerServing: macros,
+      // Kept so the label-serving rescale in usdaDetails always starts from 100g
+      macrosPer100g: macros,
+    };
+  });
+}
+
+// Volume portions ("1 cup" = 128 g) give us a density for volume logging.
+const PORTION_UNITS = [
+  [/^cups?\b/, "cup"],
+  [/^(tbsp|tablespoons?)\b/, "tbsp"],
+  [/^(ml|millilit(er|re)s?)\b/, "ml"],
+];
+
+function densityFromPortions(portions) {
+  for (const p of portions) {
+    const name = p.measureUnit?.name;
+    const text = (name && name !== "undetermined" ? name : p.modifier || "").toLowerCase();
+    const hit = PORTION_UNITS.find(([re]) => re.test(text));
+    const grams = Number(p.gramWeight);
+    if (hit && grams > 0) return grams / ((Number(p.amount) || 1) * UNITS[hit[1]].base);
+  }
+  return null;
+}
+
+async function usdaDetails(food, apiKey) {
+  if (!apiKey || !food.fdcId) return food;
+  const url = `${USDA_BASE}/food/${encodeURIComponent(food.fdcId)}?api_key=${encodeURIComponent(apiKey)}`;
+  const r = await fetch(url);
+  if (!r.ok) throw new Error("USDA detail lookup failed");
+  const f = await r.json();
+
+  const density = densityFromPortions(f.foodPortions || []);
+  const detailed = { ...food, ...(density ? { densityGPerMl: density } : {}) };
+
+  // Branded foods: nutrients are per 100g, but the label serving is known.
+  // Scale from the per-100g values, never from macrosPerServing: a food that
+  // already went through here has label-serving macros there.
+  const per100g =
+    food.macrosPer100g ??
+    (food.serving?.amount === 100 && food.serving?.unit === "g" ? food.macrosPerServing : null);
+  const size = Number(f.servingSize);
+  const sizeUnit = (f.servingSizeUnit || "").toLowerCase();
+  if (per100g && size > 0 && (sizeUnit === "g" || sizeUnit === "ml")) {
+    const label = f.householdServingFullText
+      ? `${f.householdServingFullText} (${size}${sizeUnit})`
+      : `${size}${sizeUnit}`;
+    return {
+      ...detailed,
+      servingSizeLabel: label,
+      serving: { amount: size, unit: sizeUnit },
+      macrosPer100g: per100g,
+      macrosPerServing: scaleMacro(per100g, size / 100),
+    };
+  }
+  return detailed;
+}
+
+export const usdaProvider = {
+  id: "usda",
+  label: "USDA FDC",
+  defaultEnabled: true,
+  isAvailable: (ctx) => Boolean(ctx.usdaApiKey),
+  search: (query, ctx) => usdaSearch(query, ctx.usdaApiKey),
+  // FDC has no barcode endpoint.
+  lookupBarcode: async () => null,
+  getDetails: (food, ctx) => usdaDetails(food, ctx.usdaApiKey),
+};
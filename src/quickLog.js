@@ -0,0 +1,179 @@
+/**
+ * Natural-language quick log: "2 eggs, 170g greek yogurt, core power for lunch".
+ * - parseQuickLog splits the text into items with qty, unit, name and meal tag
+ * - matchFoods ranks known foods (Quick Adds, recent entries, cached foods) by name
+ * Nothing is logged here; the Today tab shows a confirm list first.
+ */
+
+import { normalizeUnit } from "./units.js";
+
+const MEALS = {
+  breakfast: "Breakfast",
+  lunch: "Lunch",
+  dinner: "Dinner",
+  supper: "Dinner",
+  snack: "Snack",
+};
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  half: 0.5,
+  "½": 0.5,
+  "¼": 0.25,
+  "¾": 0.75,
+};
+
+const MEAL_WORDS = Object.keys(MEALS).join("|");
+// "for lunch", "at breakfast", "with dinner" anywhere in an item
+const MEAL_PHRASE = new RegExp(`\\b(?:for|at|with|as)\\s+(?:a\\s+)?(${MEAL_WORDS})\\b`, "i");
+// "lunch: ..." at the start of an item; tags it and everything after it
+const MEAL_PREFIX = new RegExp(`^\\s*(${MEAL_WORDS})\\s*[:-]\\s*`, "i");
+
+// Commas etc. always split; "and" only before an amount ("eggs and a yogurt",
+// not "mac and cheese").
+const ITEM_SEPARATOR = new RegExp(
+  `\\s*(?:[,;\\n+&]|\\band\\b(?=\\s+(?:\\d|(?:${Object.keys(NUMBER_WORDS).join("|")})\\b)))\\s*`,
+  "i"
+);
+
+// Words that say nothing about which food it is
+const STOP_WORDS = new Set(["of", "the", "some", "a", "an", "and", "with", "my", "x"]);
+
+function parseQty(token) {
+  const t = token.toLowerCase();
+  if (t in NUMBER_WORDS) return NUMBER_WORDS[t];
+  if (/^\d+\/\d+$/.test(t)) {
+    const [a, b] = t.split("/").map(Number);
+    return b ? a / b : null;
+  }
+  const n = Number(t.replace(",", "."));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** One item ("170g greek yogurt", "core power x2") -> { qty, unit, name, mealTag }. */
+function parseItem(raw) {
+  let text = raw.trim();
+  let mealTag = null;
+
+  const meal = text.match(MEAL_PHRASE);
+  if (meal) {
+    mealTag = MEALS[meal[1].toLowerCase()];
+    text = text.replace(MEAL_PHRASE, " ").trim();
+  }
+
+  let qty = null;
+  let unit = null;
+
+  // "2x eggs" / "eggs x2"
+  const times = text.match(/(?:^(\d+(?:[.,]\d+)?)\s*x\s+)|(?:\s+x\s*(\d+(?:[.,]\d+)?)$)/i);
+  if (times) {
+    qty = parseQty(times[1] || times[2]);
+    text = text.replace(times[0], " ").trim();
+  }
+
+  // Leading amount, unit glued on or not: "170g", "1.5 cups", "a", "1/2"
+  const lead = text.match(/^(\d+(?:[.,]\d+)?(?:\/\d+)?|[a-z½¼¾]+)\s*([a-z]+\.?)?\s+(.*)$/i);
+  if (lead && parseQty(lead[1]) !== null) {
+    const amount = parseQty(lead[1]);
+    const maybeUnit = lead[2] ? normalizeUnit(lead[2]) : null;
+    if (maybeUnit) {
+      unit = maybeUnit;
+      text = lead[3].replace(/^of\s+/i, "");
+    } else {
+      text = `${lead[2] || ""} ${lead[3]}`;
+    }
+    qty = (qty ?? 1) * amount;
+  } else {
+    // Trailing amount: "greek yogurt 170g"
+    const tail = text.match(/^(.*?)\s+(\d+(?:[.,]\d+)?)\s*([a-z]+)$/i);
+    const tailUnit = tail ? normalizeUnit(tail[3]) : null;
+    if (tailUnit) {
+      qty = (qty ?? 1) * parseQty(tail[2]);
+      unit = tailUnit;
+      text = tail[1];
+    }
+  }
+
+  return { text: raw.trim(), qty: qty ?? 1, unit, name: text.replace(/\s+/g, " ").trim(), mealTag };
+}
+
+/**
+ * Split free text into items. "lunch:" tags its item and every item after it,
+ * up to the next "dinner:"; "for lunch" tags just its own item. Anything
+ * untagged gets `defaultMeal`.
+ */
+export function parseQuickLog(text, defaultMeal = "Snack") {
+  let sectionMeal = null;
+  const items = [];
+  String(text || "")
+    .split(ITEM_SEPARATOR)
+    .forEach((part) => {
+      const prefix = part.match(MEAL_PREFIX);
+      if (prefix) sectionMeal = MEALS[prefix[1].toLowerCase()];
+      const item = parseItem(prefix ? part.replace(MEAL_PREFIX, "") : part);
+      if (item.name) items.push({ ...item, mealTag: item.mealTag || sectionMeal || defaultMeal });
+    });
+  return items;
+}
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !STOP_WORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("es") && !w.endsWith("ses") ? w.slice(0, -2) : w))
+    .map((w) => (w.length > 2 && w.endsWith("s") ? w.slice(0, -1) : w));
+}
+
+function matchScore(queryWords, name) {
+  const nameWords = words(name);
+  if (queryWords.length === 0 || nameWords.length === 0) return 0;
+  // Whole-word hits count fully, prefix hits ("chick" -> "chicken") partly.
+  let hits = 0;
+  let matched = 0;
+  queryWords.forEach((q) => {
+    if (nameWords.includes(q)) {
+      hits += 1;
+      matched += 1;
+    } else if (q.length >= 3 && nameWords.some((n) => n.startsWith(q))) {
+      hits += 0.6;
+      matched += 1;
+    }
+  });
+  // Mostly about the query being covered; a little for the name being covered too.
+  return hits / queryWords.length - (nameWords.length - matched) * 0.02;
+}
+
+/**
+ * Candidates for an item name, best first: [{ food, kind, score }].
+ * `sources` is [{ kind, foods }] in priority order (earlier wins ties).
+ */
+export function matchFoods(name, sources, limit = 5) {
+  const q = words(name);
+  const seen = new Set();
+  const ranked = [];
+  sources.forEach(({ kind, foods }, priority) => {
+    foods.forEach((food) => {
+      const key = (food.name || "").toLowerCase();
+      if (!key || seen.has(key)) return;
+      const score = matchScore(q, food.name);
+      if (score < 0.5) return;
+      seen.add(key);
+      ranked.push({ food, kind, score, priority });
+    });
+  });
+  ranked.sort((a, b) => b.score - a.score || a.priority - b.priority);
+  return ranked.slice(0, limit);
+}
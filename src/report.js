@@ -0,0 +1,291 @@
+/**
+ * Report builder: totals, averages and per-day rows for any date range,
+ * with Monday-based week subtotals for long ranges, protein by meal tag and
+ * the top protein contributors. Ranges are [startISO, endISO) day keys, same
+ * as the rest of the app.
+ */
+
+import {
+  entryDayKey,
+  shiftDayKey,
+  shiftMonthKey,
+  startOfMonthKey,
+  startOfWeekKey,
+} from "./dates.js";
+import { csvRow } from "./csv.js";
+import { round1, safeNum } from "./macros.js";
+
+// Ranges longer than this get week-by-week subtotals.
+const WEEK_SUBTOTALS_MIN_DAYS = 14;
+
+// Rows in the top protein contributors table
+const TOP_FOODS = 10;
+
+const MACRO_KEYS = ["calories", "protein", "carbs", "fat"];
+
+function emptyMacros() {
+  return { calories: 0, protein: 0, carbs: 0, fat: 0 };
+}
+
+function roundMacros(m) {
+  return Object.fromEntries(MACRO_KEYS.map((k) => [k, round1(m[k])]));
+}
+
+function addMacros(acc, m) {
+  MACRO_KEYS.forEach((k) => {
+    acc[k] += m[k];
+  });
+  return acc;
+}
+
+function divideMacros(m, n) {
+  return roundMacros(Object.fromEntries(MACRO_KEYS.map((k) => [k, n ? m[k] / n : 0])));
+}
+
+/** Preset ranges relative to `today`; end is exclusive. */
+export const REPORT_PRESETS = [
+  {
+    id: "thisWeek",
+    label: "This week",
+    range: (today) => {
+      const start = startOfWeekKey(today);
+      return { startISO: start, endISO: shiftDayKey(start, 7) };
+    },
+  },
+  {
+    id: "lastWeek",
+    label: "Last week",
+    range: (today) => {
+      const start = shiftDayKey(startOfWeekKey(today), -7);
+      return { startISO: start, endISO: shiftDayKey(start, 7) };
+    },
+  },
+  {
+    id: "thisMonth",
+    label: "This month",
+    range: (today) => {
+      const start = startOfMonthKey(today);
+      return { startISO: start, endISO: shiftMonthKey(start, 1) };
+    },
+  },
+  {
+    id: "lastMonth",
+    label: "Last month",
+    range: (today) => {
+      const start = shiftMonthKey(startOfMonthKey(today), -1);
+      return { startISO: start, endISO: startOfMonthKey(today) };
+    },
+  },
+  {
+    id: "last30",
+    label: "Last 30 days",
+    range: (today) => ({ startISO: shiftDayKey(today, -29), endISO: shiftDayKey(today, 1) }),
+  },
+];
+
+/** Per-day macro sums for [startISO, endISO): { [dayKey]: macros }, every day present. */
+export function macrosByDay(entries, startISO, endISO) {
+  const byDay = {};
+  for (let d = startISO; d < endISO; d = shiftDayKey(d, 1)) byDay[d] = emptyMacros();
+  entries.forEach((e) => {
+    const m = byDay[entryDayKey(e)];
+    if (!m) return;
+    MACRO_KEYS.forEach((k) => {
+      m[k] += safeNum(e.macros?.[k]) * safeNum(e.qty);
+    });
+  });
+  return byDay;
+}
+
+function entryProtein(e) {
+  return safeNum(e.macros?.protein) * safeNum(e.qty);
+}
+
+/** Foods ranked by protein over the range; same name (any case) is one food. */
+function topProteinFoods(rangeEntries, totalProtein) {
+  const foods = {};
+  rangeEntries.forEach((e) => {
+    const name = (e.name || "").trim() || "(unnamed)";
+    const key = name.toLowerCase();
+    foods[key] ??= { name, entries: 0, protein: 0 };
+    foods[key].entries += 1;
+    foods[key].protein += entryProtein(e);
+  });
+  return Object.values(foods)
+    .filter((f) => f.protein > 0)
+    .sort((a, b) => b.protein - a.protein)
+    .slice(0, TOP_FOODS)
+    .map((f) => ({
+      ...f,
+      protein: round1(f.protein),
+      share: totalProtein > 0 ? f.protein / totalProtein : 0,
+    }));
+}
+
+/**
+ * Build a report for [startISO, endISO).
+ * floorOn(dayKey) -> { floor, note } gives each day's floor for the audit column.
+ * mealTags: the tags to break protein down by, in display order (other tags
+ * found on entries are added after them).
+ * loggedDaysOnly: averages divide by days with entries instead of every day.
+ */
+export function buildReport(entries, { startISO, endISO }, { floorOn, mealTags = [], loggedDaysOnly = false }) {
+  const rangeEntries = entries.filter((e) => {
+    const d = entryDayKey(e);
+    return d >= startISO && d < endISO;
+  });
+
+  const byDay = macrosByDay(rangeEntries, startISO, endISO);
+
+  const tags = [...mealTags];
+  rangeEntries.forEach((e) => {
+    if (e.mealTag && !tags.includes(e.mealTag)) tags.push(e.mealTag);
+  });
+  const noMeals = () => Object.fromEntries(tags.map((t) => [t, 0]));
+  const mealByDay = Object.fromEntries(Object.keys(byDay).map((d) => [d, noMeals()]));
+
+  const loggedDays = new Set();
+  rangeEntries.forEach((e) => {
+    const d = entryDayKey(e);
+    loggedDays.add(d);
+    if (e.mealTag) mealByDay[d][e.mealTag] += entryProtein(e);
+  });
+
+  const dayRows = Object.entries(byDay).map(([date, m]) => {
+    const applied = floorOn(date);
+    return {
+      date,
+      ...roundMacros(m),
+      logged: loggedDays.has(date),
+      mealProtein: Object.fromEntries(tags.map((t) => [t, round1(mealByDay[date][t])])),
+      floor: applied.floor,
+      floorNote: applied.note,
+    };
+  });
+
+  const totals = dayRows.reduce(addMacros, emptyMacros());
+  const dayCount = dayRows.length;
+  const averageDays = loggedDaysOnly ? loggedDays.size : dayCount;
+
+  let weekRows = [];
+  if (dayCount > WEEK_SUBTOTALS_MIN_DAYS) {
+    const weeks = {};
+    dayRows.forEach((r) => {
+      const wk = startOfWeekKey(r.date);
+      weeks[wk] ??= { weekStart: wk, days: 0, loggedDays: 0, ...emptyMacros() };
+      addMacros(weeks[wk], r);
+      weeks[wk].days += 1;
+      if (r.logged) weeks[wk].loggedDays += 1;
+    });
+    weekRows = Object.values(weeks).map((w) => ({
+      ...w,
+      ...roundMacros(w),
+      avgProtein: round1(w.protein / ((loggedDaysOnly ? w.loggedDays : w.days) || 1)),
+    }));
+  }
+
+  const mealRows = tags.map((tag) => {
+    const total = Object.values(mealByDay).reduce((sum, m) => sum + m[tag], 0);
+    return {
+      mealTag: tag,
+      protein: round1(total),
+      avgProtein: round1(averageDays ? total / averageDays : 0),
+      share: totals.protein > 0 ? total / totals.protein : 0,
+    };
+  });
+
+  return {
+    startISO,
+    endISO,
+    dayCount,
+    loggedDayCount: loggedDays.size,
+    loggedDaysOnly,
+    totals: roundMacros(totals),
+    averages: divideMacros(totals, averageDays),
+    dayRows,
+    weekRows,
+    mealTags: tags,
+    mealRows,
+    topFoods: topProteinFoods(rangeEntries, totals.protein),
+    entryCount: rangeEntries.length,
+  };
+}
+
+/** Lowest/highest floor over the report and the distinct reasons behind them. */
+export function floorSummary(report) {
+  const floors = report.dayRows.map((r) => r.floor);
+  return {
+    min: Math.min(...floors),
+    max: Math.max(...floors),
+    notes: [...new Set(report.dayRows.map((r) => r.floorNote))],
+  };
+}
+
+/** Entries in the report's range grouped by day, oldest first: [{ date, entries }]. */
+export function foodLogByDay(entries, { startISO, endISO }) {
+  const byDay = {};
+  entries.forEach((e) => {
+    const d = entryDayKey(e);
+    if (d < startISO || d >= endISO) return;
+    (byDay[d] ??= []).push(e);
+  });
+  return Object.keys(byDay)
+    .sort()
+    .map((date) => ({
+      date,
+      entries: byDay[date].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))),
+    }));
+}
+
+export function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function mealColumn(tag) {
+  return `protein_${tag.toLowerCase().replace(/[^a-z0-9]+/g, "_")}`;
+}
+
+/**
+ * CSV text for a report: the per-day table first (the part spreadsheets
+ * want), then the meal tag and top food tables, each after a blank line.
+ */
+export function reportToCsv(report) {
+  const days = [
+    csvRow([
+      "date",
+      "calories",
+      "protein",
+      "carbs",
+      "fat",
+      "floor",
+      "floor_basis",
+      ...report.mealTags.map(mealColumn),
+    ]),
+  ];
+  report.dayRows.forEach((r) => {
+    days.push(
+      csvRow([
+        r.date,
+        r.calories,
+        r.protein,
+        r.carbs,
+        r.fat,
+        r.floor,
+        r.floorNote,
+        ...report.mealTags.map((t) => r.mealProtein[t]),
+      ])
+    );
+  });
+
+  const meals = [csvRow(["meal_tag", "total_protein", "avg_daily_protein", "protein_share_pct"])];
+  report.mealRows.forEach((m) => {
+    meals.push(csvRow([m.mealTag, m.protein, m.avgProtein, round1(m.share * 100)]));
+  });
+
+  const foods = [csvRow(["food", "entries", "total_protein", "protein_share_pct"])];
+  report.topFoods.forEach((f) => {
+    foods.push(csvRow([f.name, f.entries, f.protein, round1(f.share * 100)]));
+  });
+
+  return [days, meals, foods].map((lines) => lines.join("\n")).join("\n\n");
+}
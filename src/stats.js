@@ -0,0 +1,74 @@
+/**
+ * Floor-met statistics over the daily protein totals.
+ * - A day counts from the first day anything was logged (no penalty before that)
+ * - Days with nothing logged are misses (0g)
+ * - Today only counts once it's met; until then it's still in progress
+ * Each day is judged against the floor that applied that day (floorOn).
+ */
+
+import { shiftDayKey } from "./dates.js";
+import { round1 } from "./macros.js";
+
+export const HIT_RATE_WINDOWS = [7, 30, 90];
+
+function isMet(protein, floor) {
+  return floor > 0 && protein >= floor;
+}
+
+/**
+ * proteinByDay: { [dayKey]: grams }, floorOn(dayKey) -> { floor }.
+ * Returns { currentStreak, longestStreak, windows: [{ days, counted, met, hitRate, avgShortfall }] }
+ * where hitRate is 0..1 (null with no counted days) and avgShortfall is grams (null with no misses).
+ */
+export function computeFloorStats(proteinByDay, floorOn, today) {
+  const logged = Object.keys(proteinByDay).filter((d) => d <= today).sort();
+  if (logged.length === 0) {
+    return {
+      currentStreak: 0,
+      longestStreak: 0,
+      windows: HIT_RATE_WINDOWS.map((days) => ({ days, counted: 0, met: 0, hitRate: null, avgShortfall: null })),
+    };
+  }
+  const first = logged[0];
+
+  // One pass over every day since the first log.
+  const days = [];
+  for (let d = first; d <= today; d = shiftDayKey(d, 1)) {
+    const protein = proteinByDay[d] ?? 0;
+    const { floor } = floorOn(d);
+    days.push({ dayKey: d, protein, floor, met: isMet(protein, floor) });
+  }
+  // Today in progress: leave it out unless already met.
+  const last = days[days.length - 1];
+  const judged = last.dayKey === today && !last.met ? days.slice(0, -1) : days;
+
+  let longestStreak = 0;
+  let run = 0;
+  judged.forEach((day) => {
+    run = day.met ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+  const currentStreak = run;
+
+  const windows = HIT_RATE_WINDOWS.map((n) => {
+    const from = shiftDayKey(today, -(n - 1));
+    const inWindow = judged.filter((day) => day.dayKey >= from);
+    const hits = inWindow.filter((day) => day.met);
+    const misses = inWindow.filter((day) => !day.met && day.floor > 0);
+    const shortfall = misses.reduce((sum, day) => sum + (day.floor - day.protein), 0);
+    return {
+      days: n,
+      counted: inWindow.length,
+      met: hits.length,
+      hitRate: inWindow.length ? hits.length / inWindow.length : null,
+      avgShortfall: misses.length ? round1(shortfall / misses.length) : null,
+    };
+  });
+
+  return { currentStreak, longestStreak, windows };
+}
+
+export function formatHitRate(w) {
+  if (w.hitRate === null) return "—";
+  return `${Math.round(w.hitRate * 100)}% (${w.met}/${w.counted} days)`;
+}
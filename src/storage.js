@@ -0,0 +1,429 @@
+/**
+ * Protein Floor Tracker - IndexedDB storage layer
+ * - entries: one record per log entry (keyed by id, indexed by createdAt and local day)
+ * - meta: settings + schema bookkeeping
+ * - snapshots: rolling full-state snapshots
+ * - foods: offline cache of foods looked up from the food-data providers
+ * - Payload migrations keyed on the `version` field of the state payload
+ * - One-time import of the old localStorage blob (left in place, read-only)
+ */
+
+import { entryDayKey, tzOffsetMin } from "./dates.js";
+import { DEFAULT_FLOOR_RULE } from "./floor.js";
+import { servingFields } from "./units.js";
+
+export const STATE_VERSION = 11;
+
+const DB_NAME = "protein_floor_tracker";
+const SNAPSHOT_KEEP = 12;
+const FOOD_CACHE_KEEP = 2000;
+
+// Legacy localStorage keys (v2/v3). Only ever read now.
+const LS_KEY = "protein_floor_tracker_v2";
+const LS_BACKUP_KEY = "protein_floor_tracker_v2__backup";
+const LS_SNAPSHOTS_KEY = "protein_floor_tracker_v2__snapshots";
+
+/**
+ * Entries become individual IndexedDB records keyed by id and read back in
+ * createdAt order, so every one needs a unique id and a createdAt. Runs on
+ * every payload, not just old ones: a current-version backup can lack them too.
+ */
+function normalizeEntries(entries) {
+  const seen = new Set();
+  return (Array.isArray(entries) ? entries : [])
+    .filter((e) => e && typeof e === "object")
+    .map((e) => {
+      let id = typeof e.id === "string" && e.id ? e.id : "";
+      if (!id || seen.has(id)) {
+        id = `${e.source || "entry"}:${Math.random().toString(36).slice(2)}`;
+      }
+      seen.add(id);
+      return { ...e, id, createdAt: e.createdAt || new Date(0).toISOString() };
+    });
+}
+
+// ---------- payload migrations ----------
+// Each step takes a payload at version N and returns it at version N + 1.
+// Payloads without a version are v2 (the original localStorage blob).
+const PAYLOAD_MIGRATIONS = {
+  2: (p) => ({
+    ...p,
+    version: 3,
+    entries: Array.isArray(p.entries) ? p.entries : [],
+    roadTripMode: Boolean(p.roadTripMode),
+  }),
+  3: (p) => ({ ...p, version: 4, entries: normalizeEntries(p.entries) }),
+  4: (p) => ({
+    ...p,
+    version: 5,
+    // Backfill the local day each entry belongs to. The original offset is
+    // unknown, so use this device's offset at that moment as the best guess.
+    entries: p.entries.map((e) => ({
+      ...e,
+      dayKey: entryDayKey(e),
+      tzOffsetMin: e.tzOffsetMin ?? tzOffsetMin(e.createdAt),
+    })),
+  }),
+  5: (p) => ({
+    ...p,
+    version: 6,
+    recipes: Array.isArray(p.recipes) ? p.recipes : [],
+  }),
+  6: (p) => {
+    // Structured { amount, unit } servings, parsed from the free-text labels.
+    const withServing = (food) => (food.serving ? food : { ...food, ...servingFields(food) });
+    return {
+      ...p,
+      version: 7,
+      entries: p.entries.map(withServing),
+      quickAdds: Array.isArray(p.quickAdds) ? p.quickAdds.map(withServing) : p.quickAdds,
+      recipes: p.recipes.map(withServing),
+    };
+  },
+  7: (p) => ({ ...p, version: 8, foodProviders: p.foodProviders ?? {} }),
+  8: (p) => ({
+    ...p,
+    version: 9,
+    localProducts: Array.isArray(p.localProducts) ? p.localProducts : [],
+  }),
+  9: (p) => ({
+    ...p,
+    version: 10,
+    weights: Array.isArray(p.weights) ? p.weights : [],
+    floorRule: { ...DEFAULT_FLOOR_RULE, ...p.floorRule },
+  }),
+  10: (p) => ({
+    ...p,
+    version: 11,
+    floorRule: { ...DEFAULT_FLOOR_RULE, ...p.floorRule },
+    dayFloors: p.dayFloors ?? {},
+  }),
+};
+
+export function migratePayload(payload) {
+  if (!payload || typeof payload !== "object") return null;
+
+  let p = { ...payload, entries: normalizeEntries(payload.entries) };
+  let version = Number(p.version ?? 2);
+  if (version > STATE_VERSION) {
+    throw new Error(
+      `Data is from a newer version of the app (v${version}). Update the app first.`
+    );
+  }
+  while (version < STATE_VERSION) {
+    const step = PAYLOAD_MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from data version ${version}.`);
+    p = step(p);
+    version = p.version;
+  }
+  return p;
+}
+
+// ---------- IndexedDB plumbing ----------
+// Schema upgrades, one per database version (index 0 -> version 1).
+const DB_UPGRADES = [
+  (db) => {
+    const entries = db.createObjectStore("entries", { keyPath: "id" });
+    entries.createIndex("byCreatedAt", "createdAt");
+    db.createObjectStore("meta", { keyPath: "key" });
+    db.createObjectStore("snapshots", { keyPath: "ts" });
+  },
+  (db, tx) => {
+    tx.objectStore("entries").createIndex("byDay", "dayKey");
+  },
+  (db) => {
+    const foods = db.createObjectStore("foods", { keyPath: "id" });
+    foods.createIndex("byBarcode", "barcode");
+    foods.createIndex("byUsedAt", "usedAt");
+  },
+];
+const DB_VERSION = DB_UPGRADES.length;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (ev) => {
+      const db = req.result;
+      for (let v = ev.oldVersion; v < DB_VERSION; v++) {
+        DB_UPGRADES[v](db, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab is upgrading: let it.
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () =>
+      reject(new Error("Storage upgrade blocked. Close other tabs of this app."));
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Storage transaction aborted."));
+  });
+}
+
+// Everything except entries lives in the one small "settings" record.
+function settingsFromPayload(p) {
+  const { version: _v, savedAt: _s, entries: _e, ...settings } = p;
+  return settings;
+}
+
+// Replace everything (entries + settings) with a migrated payload.
+async function writeFullState(db, payload) {
+  const tx = db.transaction(["entries", "meta"], "readwrite");
+  const entries = tx.objectStore("entries");
+  entries.clear();
+  payload.entries.forEach((e) => entries.put(e));
+  tx.objectStore("meta").put({ key: "settings", value: settingsFromPayload(payload) });
+  tx.objectStore("meta").put({
+    key: "schema",
+    version: STATE_VERSION,
+    updatedAt: new Date().toISOString(),
+  });
+  await txDone(tx);
+}
+
+async function readFullState(db) {
+  const tx = db.transaction(["entries", "meta"], "readonly");
+  const [entries, settings, schema] = await Promise.all([
+    // Not through the byCreatedAt index: it leaves out records without the key.
+    requestToPromise(tx.objectStore("entries").getAll()),
+    requestToPromise(tx.objectStore("meta").get("settings")),
+    requestToPromise(tx.objectStore("meta").get("schema")),
+  ]);
+  return {
+    schema,
+    payload: {
+      version: schema?.version ?? STATE_VERSION,
+      ...(settings?.value || {}),
+      // Newest first, like the in-memory log.
+      entries: entries.sort((a, b) => String(b.createdAt ?? "").localeCompare(String(a.createdAt ?? ""))),
+    },
+  };
+}
+
+// ---------- legacy localStorage ----------
+function loadLegacyJSON(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function loadLegacyState() {
+  const primary = loadLegacyJSON(LS_KEY);
+  const backup = loadLegacyJSON(LS_BACKUP_KEY);
+  return { payload: primary || backup, fromBackup: !primary && Boolean(backup) };
+}
+
+// ---------- public API ----------
+/**
+ * Load persisted state. On first launch with IndexedDB, imports the legacy
+ * localStorage data (primary, then backup, plus its snapshots).
+ * Resolves to { payload, notice } where payload is null on a fresh start.
+ */
+export async function loadState() {
+  const db = await openDB();
+  const { schema, payload } = await readFullState(db);
+
+  if (!schema) {
+    const legacy = loadLegacyState();
+    const legacySnaps = loadLegacyJSON(LS_SNAPSHOTS_KEY) || [];
+    if (!legacy.payload) {
+      await writeFullState(db, migratePayload({ version: STATE_VERSION, entries: [] }));
+      return { payload: null, notice: "" };
+    }
+
+    const migrated = migratePayload(legacy.payload);
+    await writeFullState(db, migrated);
+
+    const tx = db.transaction("snapshots", "readwrite");
+    legacySnaps.slice(0, SNAPSHOT_KEEP).forEach((s) => {
+      try {
+        if (s?.payload) tx.objectStore("snapshots").put({ ts: s.ts, payload: migratePayload(s.payload) });
+      } catch {
+        // skip snapshots that can't be migrated
+      }
+    });
+    await txDone(tx);
+
+    return {
+      payload: migrated,
+      notice: legacy.fromBackup
+        ? "Moved your data from browser backup storage to the new database."
+        : "Moved your data from browser storage to the new database.",
+    };
+  }
+
+  if (schema.version < STATE_VERSION) {
+    const migrated = migratePayload(payload);
+    await writeFullState(db, migrated);
+    return { payload: migrated, notice: "" };
+  }
+
+  return { payload, notice: "" };
+}
+
+/** Best-effort read of the legacy localStorage blob (used when IndexedDB is unavailable). */
+export function loadLegacyFallback() {
+  const legacy = loadLegacyState();
+  try {
+    return { ...legacy, payload: migratePayload(legacy.payload) };
+  } catch {
+    return { payload: null, fromBackup: false };
+  }
+}
+
+export async function saveSettings(settings) {
+  const db = await openDB();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({ key: "settings", value: settings });
+  await txDone(tx);
+}
+
+/**
+ * Work out which entry records changed between two versions of the log.
+ * Entries are updated immutably, so a changed entry is a new object.
+ */
+export function diffEntries(prev, next) {
+  const prevById = new Map(prev.map((e) => [e.id, e]));
+  const nextIds = new Set();
+  const put = [];
+  next.forEach((e) => {
+    nextIds.add(e.id);
+    if (prevById.get(e.id) !== e) put.push(e);
+  });
+  const remove = prev.filter((e) => !nextIds.has(e.id)).map((e) => e.id);
+  return { put, remove };
+}
+
+export async function applyEntryChanges({ put, remove }) {
+  if (put.length === 0 && remove.length === 0) return;
+  const db = await openDB();
+  const tx = db.transaction("entries", "readwrite");
+  const store = tx.objectStore("entries");
+  remove.forEach((id) => store.delete(id));
+  put.forEach((e) => store.put(e));
+  await txDone(tx);
+}
+
+export async function listSnapshots() {
+  const db = await openDB();
+  const tx = db.transaction("snapshots", "readonly");
+  const snaps = await requestToPromise(tx.objectStore("snapshots").getAll());
+  return snaps.sort((a, b) => b.ts - a.ts);
+}
+
+export async function appendSnapshot(payload) {
+  const db = await openDB();
+  const tx = db.transaction("snapshots", "readwrite");
+  const store = tx.objectStore("snapshots");
+  store.put({ ts: Date.now(), payload });
+
+  // Trim to the newest SNAPSHOT_KEEP.
+  const keys = await requestToPromise(store.getAllKeys());
+  keys
+    .sort((a, b) => b - a)
+    .slice(SNAPSHOT_KEEP)
+    .forEach((ts) => store.delete(ts));
+  await txDone(tx);
+}
+
+// ---------- food cache ----------
+// Records are { id, barcode, name, food, cachedAt, usedAt } (timestamps in ms).
+
+export async function cacheFoods(foods) {
+  if (foods.length === 0) return;
+  const db = await openDB();
+  const tx = db.transaction("foods", "readwrite");
+  const store = tx.objectStore("foods");
+  const now = Date.now();
+  foods.forEach((food) => {
+    store.put({
+      id: food.id,
+      barcode: food.barcode || "",
+      name: food.name || "",
+      food,
+      cachedAt: now,
+      usedAt: now,
+    });
+  });
+
+  // Keep the cache bounded: drop the least recently used beyond FOOD_CACHE_KEEP.
+  const count = await requestToPromise(store.count());
+  if (count > FOOD_CACHE_KEEP) {
+    const oldest = await requestToPromise(
+      store.index("byUsedAt").getAllKeys(null, count - FOOD_CACHE_KEEP)
+    );
+    oldest.forEach((id) => store.delete(id));
+  }
+  await txDone(tx);
+}
+
+export async function findCachedByBarcode(barcode) {
+  const db = await openDB();
+  const tx = db.transaction("foods", "readonly");
+  const hit = await requestToPromise(tx.objectStore("foods").index("byBarcode").get(barcode));
+  return hit || null;
+}
+
+export async function listCachedFoods() {
+  const db = await openDB();
+  const tx = db.transaction("foods", "readonly");
+  const all = await requestToPromise(tx.objectStore("foods").getAll());
+  return all.sort((a, b) => b.usedAt - a.usedAt);
+}
+
+export async function touchCachedFood(id) {
+  const db = await openDB();
+  const tx = db.transaction("foods", "readwrite");
+  const store = tx.objectStore("foods");
+  const rec = await requestToPromise(store.get(id));
+  if (rec) store.put({ ...rec, usedAt: Date.now() });
+  await txDone(tx);
+}
+
+export async function deleteCachedFood(id) {
+  const db = await openDB();
+  const tx = db.transaction("foods", "readwrite");
+  tx.objectStore("foods").delete(id);
+  await txDone(tx);
+}
+
+export async function clearFoodCache() {
+  const db = await openDB();
+  const tx = db.transaction("foods", "readwrite");
+  tx.objectStore("foods").clear();
+  await txDone(tx);
+}
@@ -0,0 +1,163 @@
+/**
+ * Structured servings + unit conversion.
+ * A food's macrosPerServing are for `serving` = { amount, unit }, e.g.
+ * { amount: 100, unit: "g" } (per-100g) or { amount: 1, unit: "serving" }.
+ * Volume <-> mass needs the food's densityGPerMl.
+ */
+
+export const UNITS = {
+  g: { kind: "mass", base: 1, label: "g" },
+  oz: { kind: "mass", base: 28.3495, label: "oz" },
+  ml: { kind: "volume", base: 1, label: "ml" },
+  cup: { kind: "volume", base: 236.588, label: "cup" },
+  tbsp: { kind: "volume", base: 14.7868, label: "tbsp" },
+  serving: { kind: "count", base: 1, label: "serving" },
+};
+
+export const UNIT_KEYS = Object.keys(UNITS);
+
+const FL_OZ_ML = 29.5735;
+
+// Spellings seen in labels and product data -> unit key (fl oz handled separately)
+const UNIT_ALIASES = [
+  [/^(g|gr|grams?)$/, "g"],
+  [/^(oz|ounces?)$/, "oz"],
+  [/^(ml|millilit(?:er|re)s?)$/, "ml"],
+  [/^(cups?|c)$/, "cup"],
+  [/^(tbsp|tbs|tablespoons?)$/, "tbsp"],
+  [/^(servings?)$/, "serving"],
+];
+
+function parseNumber(text) {
+  if (text.includes("/")) {
+    const [a, b] = text.split("/").map(Number);
+    return b ? a / b : NaN;
+  }
+  return Number(text.replace(",", "."));
+}
+
+export function normalizeUnit(word) {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  const hit = UNIT_ALIASES.find(([re]) => re.test(w));
+  return hit ? hit[1] : null;
+}
+
+/**
+ * Best-effort parse of a free-text serving label ("170g", "100g (USDA default)",
+ * "2 tbsp (32 g)", "1 bottle (414 ml)"). Prefers a mass, then a volume, and
+ * derives density when the label gives both.
+ * Returns { amount, unit, densityGPerMl? }.
+ */
+export function parseServingLabel(label) {
+  const text = String(label || "");
+  const re = /(\d+(?:[.,]\d+)?(?:\/\d+)?)\s*(fl\.?\s*oz|[a-zA-Z]+\.?)/g;
+  let mass = null;
+  let volume = null;
+  let m;
+  while ((m = re.exec(text))) {
+    const amount = parseNumber(m[1]);
+    if (!Number.isFinite(amount) || amount <= 0) continue;
+    if (/^fl\.?\s*oz$/i.test(m[2])) {
+      volume ??= { amount: amount * FL_OZ_ML, unit: "ml" };
+      continue;
+    }
+    const unit = normalizeUnit(m[2]);
+    if (!unit) continue;
+    if (UNITS[unit].kind === "mass") mass ??= { amount, unit };
+    if (UNITS[unit].kind === "volume") volume ??= { amount, unit };
+  }
+
+  if (mass && volume) {
+    const densityGPerMl = (mass.amount * UNITS[mass.unit].base) / (volume.amount * UNITS[volume.unit].base);
+    return { ...mass, densityGPerMl };
+  }
+  if (mass) return mass;
+  if (volume) return volume;
+
+  const lead = text.match(/^\s*(\d+(?:[.,]\d+)?(?:\/\d+)?)/);
+  const amount = lead ? parseNumber(lead[1]) : 1;
+  return { amount: Number.isFinite(amount) && amount > 0 ? amount : 1, unit: "serving" };
+}
+
+/** Structured serving for a food, falling back to parsing its label. */
+export function servingOf(food) {
+  const s = food?.serving;
+  if (s && UNITS[s.unit] && Number(s.amount) > 0) return s;
+  return parseServingLabel(food?.servingSizeLabel);
+}
+
+export function densityOf(food) {
+  const d = Number(food?.densityGPerMl ?? servingOf(food).densityGPerMl);
+  return d > 0 ? d : null;
+}
+
+/** Convert an amount between units; null when it can't be done (e.g. no density). */
+export function convertAmount(amount, from, to, densityGPerMl) {
+  const a = UNITS[from];
+  const b = UNITS[to];
+  if (!a || !b) return null;
+  if (from === to) return amount;
+  if (a.kind === "count" || b.kind === "count") return null;
+
+  let base = amount * a.base; // g or ml
+  if (a.kind !== b.kind) {
+    if (!densityGPerMl) return null;
+    base = a.kind === "volume" ? base * densityGPerMl : base / densityGPerMl;
+  }
+  return base / b.base;
+}
+
+/** Units a food can be logged in. */
+export function unitsFor(food) {
+  const s = servingOf(food);
+  const density = densityOf(food);
+  return UNIT_KEYS.filter(
+    (u) => u === "serving" || convertAmount(1, u, s.unit, density) !== null
+  );
+}
+
+/**
+ * How many servings (the macrosPerServing multiplier) `amount` `unit` of a
+ * food is. "serving" means whole servings as before. Null if not convertible.
+ */
+export function servingsFor(food, amount, unit) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return null;
+  if (unit === "serving") return n;
+  const s = servingOf(food);
+  const inServingUnit = convertAmount(n, unit, s.unit, densityOf(food));
+  return inServingUnit === null ? null : inServingUnit / s.amount;
+}
+
+export function formatAmount(amount, unit) {
+  const rounded = Math.round(amount * 10) / 10;
+  if (unit === "serving") return `${rounded} serving${rounded === 1 ? "" : "s"}`;
+  return `${rounded} ${UNITS[unit]?.label ?? unit}`;
+}
+
+/** Describe what was logged, e.g. "240 g", for an entry logged by weight/volume. */
+export function describeLoggedAmount(entry) {
+  if (!entry?.loggedUnit || entry.loggedUnit === "serving") return "";
+  const s = servingOf(entry);
+  const amount = convertAmount(Number(entry.qty) * s.amount, s.unit, entry.loggedUnit, densityOf(entry));
+  return amount === null ? "" : formatAmount(amount, entry.loggedUnit);
+}
+
+/**
+ * Serving fields for a food form: an explicit amount + unit wins, otherwise
+ * whatever the free-text label says. Returns { serving, densityGPerMl? }.
+ */
+export function servingFromForm({ amount, unit, density, label }) {
+  const n = Number(amount);
+  const parsed = parseServingLabel(label);
+  const serving = n > 0 && UNITS[unit] ? { amount: n, unit } : { amount: parsed.amount, unit: parsed.unit };
+  const d = Number(density) > 0 ? Number(density) : parsed.densityGPerMl;
+  return d ? { serving, densityGPerMl: d } : { serving };
+}
+
+/** The structured serving fields stored on foods and entries. */
+export function servingFields(food) {
+  const { densityGPerMl: _density, ...serving } = servingOf(food);
+  const density = densityOf(food);
+  return density ? { serving, densityGPerMl: density } : { serving };
+}
@@ -4,4 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Tesseract fetches "<langPath>/eng.traineddata.gz", so the model keeps its name.
+        assetFileNames: (asset) =>
+          asset.names?.some((n) => n.endsWith('.traineddata.gz'))
+            ? 'tessdata/[name][extname]'
+            : 'assets/[name]-[hash][extname]',
+      },
+    },
+  },
 })